@@ -0,0 +1,207 @@
+/**
+ * gscCache.js
+ *
+ * Response cache for read-only Google Search Console calls. Entries live in memory and can
+ * optionally be persisted to a JSON file so they survive restarts. Each entry is tagged with
+ * the site it belongs to, so write operations can invalidate everything cached for that site.
+ * The cache is bounded by entry count and by the serialized size of its values, since a single
+ * Search Analytics page can hold up to 25,000 rows.
+ */
+const fs = require('node:fs');
+const { integerFromEnv } = require('./mcpConfig.js');
+const { writeFileAtomic } = require('./stateFiles.js');
+
+// How long to wait after a change before flushing the on-disk store.
+const PERSIST_DELAY_MS = 1000;
+const DEFAULT_MAX_BYTES = 32 * 1024 * 1024;
+
+/**
+ * Serializes a value with object keys sorted and undefined values dropped, so that
+ * equivalent request bodies always produce the same cache key.
+ * @param {*} value The value to serialize.
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Creates a response cache.
+ * @param {Object} [options] Optional parameters.
+ * @param {string} [options.filePath] JSON file to load entries from and persist them to. Memory-only when omitted.
+ * @param {number} [options.maxEntries=1000] Least recently used entries are evicted beyond this many entries.
+ * @param {number} [options.maxBytes] Least recently used entries are evicted beyond this total serialized size
+ *   (GSC_CACHE_MAX_BYTES, default 32 MiB). Values larger than a quarter of it are not cached at all.
+ * @returns {Object} The cache ({ keyFor, get, set, invalidateSite, clear, flush, stats }).
+ */
+function createResponseCache({ filePath, maxEntries = 1000, maxBytes = integerFromEnv('GSC_CACHE_MAX_BYTES', DEFAULT_MAX_BYTES) } = {}) {
+  const entries = new Map(); // key -> { siteUrl, value, storedAt, expiresAt, bytes }
+  const maxEntryBytes = Math.floor(maxBytes / 4);
+  let totalBytes = 0;
+  let hits = 0;
+  let misses = 0;
+  let persistTimer = null;
+
+  const remove = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return;
+    totalBytes -= entry.bytes;
+    entries.delete(key);
+  };
+
+  // Map order tracks recency (reads and writes move an entry to the end), so the first entries are the least recently used.
+  const evict = () => {
+    while (entries.size > maxEntries || totalBytes > maxBytes) remove(entries.keys().next().value);
+  };
+
+  if (filePath) {
+    try {
+      const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const now = Date.now();
+      for (const [key, entry] of Object.entries(stored.entries || {})) {
+        if (entry.expiresAt <= now) continue;
+        const bytes = JSON.stringify(entry.value).length;
+        if (bytes > maxEntryBytes) continue;
+        entries.set(key, { ...entry, bytes });
+        totalBytes += bytes;
+      }
+      evict();
+      console.log(`gscCache: Loaded ${entries.size} cached response(s) from ${filePath}.`);
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.warn(`gscCache: Ignoring unreadable cache file ${filePath}: ${e.message}`);
+    }
+  }
+
+  function persist() {
+    try {
+      const serializable = [...entries].map(([key, { bytes, ...entry }]) => [key, entry]);
+      writeFileAtomic(filePath, JSON.stringify({ entries: Object.fromEntries(serializable) }));
+    } catch (e) {
+      console.warn(`gscCache: Failed to persist cache to ${filePath}: ${e.message}`);
+    }
+  }
+
+  function schedulePersist() {
+    if (!filePath || persistTimer) return;
+    persistTimer = setTimeout(() => {
+      persistTimer = null;
+      persist();
+    }, PERSIST_DELAY_MS);
+    persistTimer.unref(); // Never keep the process alive just to flush the cache
+  }
+
+  function flush() {
+    if (!persistTimer) return;
+    clearTimeout(persistTimer);
+    persistTimer = null;
+    persist();
+  }
+
+  if (filePath) process.once('exit', flush); // Write out pending changes the unref'd timer never got to
+
+  return {
+    /**
+     * Builds the cache key for an operation and its normalized request parameters.
+     * @param {string} operation The operation name (e.g. 'queryAnalytics').
+     * @param {string} [siteUrl] The site the request belongs to.
+     * @param {Object} [params] The request body or parameters.
+     * @returns {string}
+     */
+    keyFor(operation, siteUrl, params) {
+      return `${operation}|${siteUrl || ''}|${stableStringify(params || {})}`;
+    },
+
+    /**
+     * Looks up a live entry. The returned value is a copy, so callers may mutate it freely.
+     * @param {string} key The cache key.
+     * @returns {{value: *, storedAt: number, expiresAt: number}|undefined}
+     */
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry || entry.expiresAt <= Date.now()) {
+        if (entry) remove(key);
+        misses++;
+        return undefined;
+      }
+      hits++;
+      entries.delete(key); // Re-insert so Map order tracks recency for eviction
+      entries.set(key, entry);
+      return { value: structuredClone(entry.value), storedAt: entry.storedAt, expiresAt: entry.expiresAt };
+    },
+
+    /**
+     * Stores a value, unless it is too large to cache.
+     * @param {string} key The cache key.
+     * @param {string} siteUrl The site the value belongs to ('' for account-wide data such as listSites).
+     * @param {*} value The value to cache (must be JSON-serializable).
+     * @param {number} ttlMs Time to live in milliseconds.
+     * @returns {boolean} Whether the value was stored.
+     */
+    set(key, siteUrl, value, ttlMs) {
+      remove(key); // Replaced entries move to the end, like read ones
+      const bytes = JSON.stringify(value).length;
+      if (bytes > maxEntryBytes) {
+        console.log(`gscCache: Not caching a ${bytes}-byte response (limit ${maxEntryBytes} bytes per entry).`);
+        return false;
+      }
+      const storedAt = Date.now();
+      entries.set(key, { siteUrl: siteUrl || '', value: structuredClone(value), storedAt, expiresAt: storedAt + ttlMs, bytes });
+      totalBytes += bytes;
+      evict();
+      schedulePersist();
+      return true;
+    },
+
+    /**
+     * Drops every entry cached for a site, plus account-wide entries (the site list).
+     * @param {string} siteUrl The affected site.
+     * @returns {number} The number of entries removed.
+     */
+    invalidateSite(siteUrl) {
+      let removed = 0;
+      for (const [key, entry] of entries) {
+        if (entry.siteUrl === siteUrl || entry.siteUrl === '') {
+          remove(key);
+          removed++;
+        }
+      }
+      if (removed > 0) schedulePersist();
+      return removed;
+    },
+
+    /**
+     * Removes all entries.
+     */
+    clear() {
+      entries.clear();
+      totalBytes = 0;
+      schedulePersist();
+    },
+
+    /**
+     * Writes pending changes to the on-disk store immediately.
+     */
+    flush,
+
+    /**
+     * @returns {{entries: number, bytes: number, maxBytes: number, hits: number, misses: number, persistent: boolean}}
+     */
+    stats() {
+      return { entries: entries.size, bytes: totalBytes, maxBytes, hits, misses, persistent: Boolean(filePath) };
+    },
+  };
+}
+
+// --- Module Exports ---
+module.exports = {
+  createResponseCache,
+  stableStringify,
+};
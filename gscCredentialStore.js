@@ -0,0 +1,88 @@
+/**
+ * gscCredentialStore.js
+ *
+ * Local store for the GSC OAuth refresh tokens minted by the /oauth/start -> /oauth/callback
+ * consent flow in my-simple-server.js, one per credential profile (see gscProfiles.js).
+ * gscService.js re-reads the file whenever it changes, so a rotated token takes effect
+ * without a redeploy (even across processes).
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const { DEFAULT_PROFILE } = require('./gscProfiles.js');
+const { writeFileAtomic } = require('./stateFiles.js');
+
+const CREDENTIALS_FILE = process.env.GSC_CREDENTIALS_FILE || path.join(__dirname, '.gsc-credentials.json');
+
+let cachedProfiles = {};
+let cachedMtimeMs = null;
+
+/**
+ * Returns every stored profile, re-reading the file only when its modification time changes.
+ * Files written before profiles existed (a single top-level refreshToken) are read as the default profile.
+ * @returns {Object} Profile name -> { refreshToken, scope, obtainedAt }.
+ */
+function readStore() {
+  let stat;
+  try {
+    stat = fs.statSync(CREDENTIALS_FILE);
+  } catch (e) {
+    cachedProfiles = {};
+    cachedMtimeMs = null;
+    return cachedProfiles;
+  }
+  if (stat.mtimeMs === cachedMtimeMs) return cachedProfiles;
+
+  try {
+    const stored = JSON.parse(fs.readFileSync(CREDENTIALS_FILE, 'utf8')) || {};
+    cachedProfiles = stored.profiles || (stored.refreshToken ? { [DEFAULT_PROFILE]: stored } : {});
+  } catch (e) {
+    console.error(`gscCredentialStore: Could not read ${CREDENTIALS_FILE}: ${e.message}`);
+    cachedProfiles = {};
+  }
+  cachedMtimeMs = stat.mtimeMs;
+  return cachedProfiles;
+}
+
+/**
+ * Returns the stored credentials for a profile.
+ * @param {string} [profile='default'] The credential profile.
+ * @returns {{refreshToken: string, scope: string, obtainedAt: string}|null} Null when nothing is stored.
+ */
+function getStoredCredentials(profile = DEFAULT_PROFILE) {
+  const stored = readStore()[profile];
+  return stored && stored.refreshToken ? stored : null;
+}
+
+/**
+ * Lists the profiles that have a stored refresh token.
+ * @returns {Array<string>}
+ */
+function listStoredProfiles() {
+  return Object.keys(readStore()).filter((profile) => getStoredCredentials(profile));
+}
+
+/**
+ * Saves a newly minted refresh token for a profile, replacing any stored one.
+ * The file is written atomically and readable by the owner only.
+ * @param {Object} credentials The credentials to store.
+ * @param {string} credentials.refreshToken The OAuth refresh token.
+ * @param {string} [credentials.scope] The scopes the token was granted.
+ * @param {string} [credentials.profile='default'] The credential profile the token belongs to.
+ * @returns {{refreshToken: string, scope: string, obtainedAt: string}} The stored record.
+ */
+function saveCredentials({ refreshToken, scope, profile = DEFAULT_PROFILE }) {
+  if (!refreshToken) throw new Error("refreshToken is required for saveCredentials.");
+  const record = { refreshToken, scope, obtainedAt: new Date().toISOString() };
+  const profiles = { ...readStore(), [profile]: record };
+  writeFileAtomic(CREDENTIALS_FILE, JSON.stringify({ profiles }, null, 2), { mode: 0o600 });
+  console.log(`gscCredentialStore: Stored new refresh token for profile "${profile}" in ${CREDENTIALS_FILE}.`);
+  return record;
+}
+
+// --- Module Exports ---
+module.exports = {
+  CREDENTIALS_FILE,
+  getStoredCredentials,
+  listStoredProfiles,
+  saveCredentials,
+};
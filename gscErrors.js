@@ -0,0 +1,211 @@
+/**
+ * gscErrors.js
+ *
+ * Typed errors for Google Search Console operations, plus the retry-with-backoff
+ * policy applied to every gscService API call.
+ */
+const { integerFromEnv } = require('./mcpConfig.js');
+
+// --- Error Classes ---
+
+/**
+ * Base class for all errors raised by gscService.
+ * @property {string} operation The gscService operation that failed (e.g. 'listSites').
+ * @property {number|undefined} status The HTTP status code, when the failure came from an HTTP response.
+ * @property {Array<string>} reasons API reason codes (e.g. 'rateLimitExceeded', 'invalid_grant').
+ * @property {boolean} retryable Whether retrying the same request may succeed.
+ * @property {number|undefined} retryAfterMs Delay requested by the server's Retry-After header.
+ */
+class GscError extends Error {
+  constructor(message, { operation, status, reasons = [], retryable = false, retryAfterMs, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.operation = operation;
+    this.status = status;
+    this.reasons = reasons;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  /**
+   * Plain-object form used when reporting the error to MCP clients.
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      error: this.name,
+      message: this.message,
+      operation: this.operation,
+      status: this.status,
+      reasons: this.reasons,
+      retryable: this.retryable,
+    };
+  }
+}
+
+/** Missing, expired or revoked OAuth credentials (HTTP 401, `invalid_grant`). */
+class GscAuthError extends GscError {}
+
+/** The authenticated user lacks access to the property (HTTP 403). */
+class GscPermissionError extends GscError {}
+
+/** The property, sitemap or resource does not exist (HTTP 404). */
+class GscNotFoundError extends GscError {}
+
+/** Rate limit or quota exceeded (HTTP 429, or 403 with a quota reason). Only short-term rate limits are retryable. */
+class GscQuotaError extends GscError {}
+
+/** The request was rejected as malformed, or required parameters were missing (HTTP 400). */
+class GscValidationError extends GscError {}
+
+/** Server-side or network failure that may succeed on retry (HTTP 5xx, connection resets, timeouts). */
+class GscTransientError extends GscError {}
+
+// Reason codes Google uses for quota and rate-limit failures, some of which arrive as HTTP 403.
+const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded', 'RATE_LIMIT_EXCEEDED'];
+const QUOTA_REASONS = [...RATE_LIMIT_REASONS, 'quotaExceeded', 'dailyLimitExceeded', 'RESOURCE_EXHAUSTED'];
+
+// Node.js network error codes worth retrying.
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'ESOCKETTIMEDOUT'];
+
+// --- Error Mapping ---
+
+/**
+ * Reads a header from a gaxios response, which may carry a Fetch `Headers` object or a plain object.
+ * @param {Object} response The gaxios response.
+ * @param {string} name Lower-case header name.
+ * @returns {string|undefined}
+ */
+function readHeader(response, name) {
+  const headers = response && response.headers;
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') return headers.get(name) || undefined;
+  return headers[name];
+}
+
+/**
+ * Parses a Retry-After header (delta-seconds or HTTP-date) into milliseconds.
+ * @param {string|undefined} value The header value.
+ * @returns {number|undefined}
+ */
+function parseRetryAfter(value) {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Converts an error thrown by googleapis/gaxios (or anything else) into a typed GscError.
+ * The message keeps the descriptive format gscService has always produced.
+ * @param {Error} error The original error.
+ * @param {string} operationName The name of the operation being performed.
+ * @returns {GscError}
+ */
+function toGscError(error, operationName) {
+  if (error instanceof GscError) return error;
+
+  const response = error.response;
+  const status = response ? response.status : undefined;
+  const data = response && response.data;
+  let message = `Error during GSC operation "${operationName}": ${error.message}`;
+  const reasons = [];
+
+  if (data && typeof data.error === 'string') {
+    // OAuth token endpoint errors, e.g. { error: 'invalid_grant', error_description: 'Token has been expired or revoked.' }
+    reasons.push(data.error);
+    if (data.error_description) message += ` | OAuth Error: ${data.error} ${data.error_description}`;
+  } else if (data && data.error) {
+    const apiError = data.error;
+    message += ` | API Error: ${apiError.code} ${apiError.message}`;
+    if (apiError.status) {
+      message += ` (Status: ${apiError.status})`;
+      reasons.push(apiError.status);
+    }
+    if (apiError.errors && apiError.errors.length > 0) {
+      message += ` | Details: ${apiError.errors.map(e => `${e.reason}: ${e.message}`).join(', ')}`;
+      reasons.push(...apiError.errors.map(e => e.reason).filter(Boolean));
+    }
+  }
+
+  const details = { operation: operationName, status, reasons, cause: error };
+  const apiMessage = (data && data.error && data.error.message) || '';
+
+  if (reasons.includes('invalid_grant') || (status === 401 && /invalid_grant|Invalid Credentials/.test(apiMessage))) {
+    message += ' | This might be due to an expired or revoked refresh token. Re-authorization may be needed via /oauth/start.';
+    return new GscAuthError(message, details);
+  }
+  if (!response && /No refresh token is set/.test(error.message)) {
+    return new GscAuthError(`${message} | OAuth refresh token is missing or not set correctly.`, details);
+  }
+  if (status === 401) return new GscAuthError(message, details);
+  if (status === 429 || (status === 403 && reasons.some((r) => QUOTA_REASONS.includes(r)))) {
+    // Per-minute rate limits clear on their own; daily quota exhaustion does not.
+    const retryable = status === 429 || reasons.some((r) => RATE_LIMIT_REASONS.includes(r));
+    return new GscQuotaError(message, { ...details, retryable, retryAfterMs: parseRetryAfter(readHeader(response, 'retry-after')) });
+  }
+  if (status === 403) return new GscPermissionError(message, details);
+  if (status === 404) return new GscNotFoundError(message, details);
+  if (status === 400 || status === 422) return new GscValidationError(message, details);
+  if ((status && status >= 500) || (!response && TRANSIENT_NETWORK_CODES.includes(error.code))) {
+    return new GscTransientError(message, {
+      ...details,
+      retryable: true,
+      retryAfterMs: parseRetryAfter(readHeader(response, 'retry-after')),
+    });
+  }
+  return new GscError(message, details);
+}
+
+// --- Retry Policy ---
+
+const DEFAULT_RETRY_OPTIONS = {
+  maxRetries: integerFromEnv('GSC_MAX_RETRIES', 3, { allowZero: true }),
+  baseDelayMs: 500,
+  maxDelayMs: 30000,
+};
+
+/**
+ * Runs an API request, retrying retryable failures (rate limits and transient errors) with
+ * exponential backoff and full jitter. A server-supplied Retry-After delay takes precedence
+ * over the computed backoff; if it exceeds maxDelayMs the error is thrown instead.
+ * @param {string} operationName The name of the operation, used for error mapping.
+ * @param {function(): Promise<*>} request The request to run.
+ * @param {Object} [options] Overrides for maxRetries, baseDelayMs, maxDelayMs and onRetry(error, attempt, delayMs).
+ * @returns {Promise<*>} The request's result.
+ * @throws {GscError} The mapped error once retries are exhausted or the failure is not retryable.
+ */
+async function withRetry(operationName, request, options = {}) {
+  const { maxRetries, baseDelayMs, maxDelayMs, onRetry } = { ...DEFAULT_RETRY_OPTIONS, ...options };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request();
+    } catch (e) {
+      const error = toGscError(e, operationName);
+      if (!error.retryable || attempt >= maxRetries) throw error;
+
+      const backoffMs = Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+      const delayMs = error.retryAfterMs !== undefined ? error.retryAfterMs : backoffMs;
+      if (delayMs > maxDelayMs) throw error;
+
+      console.warn(`gscService: ${error.name} during "${operationName}" (attempt ${attempt + 1}/${maxRetries + 1}); retrying in ${Math.round(delayMs)}ms.`);
+      if (onRetry) onRetry(error, attempt + 1, delayMs);
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+    }
+  }
+}
+
+// --- Module Exports ---
+module.exports = {
+  GscError,
+  GscAuthError,
+  GscPermissionError,
+  GscNotFoundError,
+  GscQuotaError,
+  GscValidationError,
+  GscTransientError,
+  toGscError,
+  withRetry,
+};
@@ -0,0 +1,239 @@
+/**
+ * gscFilterExpression.js
+ *
+ * A small filter language for Search Analytics queries, compiled to `dimensionFilterGroups`:
+ *
+ *   query contains "pricing" and country = usa and page !~ "/blog/"
+ *
+ * Each condition is `<dimension> <operator> <value>`; conditions are joined with `and` (the API
+ * has no OR between filters, so alternatives are written as a regex). Operators may be written
+ * as the API names them or with these symbols:
+ *
+ *   =  equals    !=  notEquals    ~  includingRegex    !~  excludingRegex
+ *
+ * Regex values use RE2 syntax, as Search Console does, so lookarounds and backreferences are rejected.
+ *
+ * Values are bare words or quoted strings ("..." or '...', with backslash escapes).
+ * Errors point at the offending token.
+ */
+const { GscValidationError } = require('./gscErrors.js');
+
+const FILTER_DIMENSIONS = ['query', 'page', 'country', 'device', 'searchAppearance'];
+const FILTER_OPERATORS = ['equals', 'notEquals', 'contains', 'notContains', 'includingRegex', 'excludingRegex'];
+const OPERATOR_SYMBOLS = { '=': 'equals', '==': 'equals', '!=': 'notEquals', '~': 'includingRegex', '=~': 'includingRegex', '!~': 'excludingRegex' };
+const DEVICES = ['DESKTOP', 'MOBILE', 'TABLET'];
+
+// Case-insensitive lookups, e.g. 'searchappearance' -> 'searchAppearance'.
+const dimensionsByLowerName = new Map(FILTER_DIMENSIONS.map((name) => [name.toLowerCase(), name]));
+const operatorsByLowerName = new Map(FILTER_OPERATORS.map((name) => [name.toLowerCase(), name]));
+
+/**
+ * Builds a validation error that quotes the expression and underlines the offending token.
+ * @param {string} source The whole expression.
+ * @param {{start: number, end: number}} span Where the problem is.
+ * @param {string} message What is wrong.
+ * @returns {GscValidationError} With `position` (zero-based offset) and `token` properties.
+ */
+function filterError(source, span, message) {
+  const width = Math.max(1, span.end - span.start);
+  const error = new GscValidationError(
+    `Invalid filter at column ${span.start + 1}: ${message}\n  ${source}\n  ${' '.repeat(span.start)}${'^'.repeat(width)}`,
+    { operation: 'compileFilter' },
+  );
+  error.position = span.start;
+  error.token = source.slice(span.start, span.end);
+  return error;
+}
+
+// --- Tokenizer ---
+
+/**
+ * Splits an expression into word, string and operator tokens.
+ * @param {string} source The expression.
+ * @returns {Array<{type: ('word'|'string'|'op'|'end'), value: string, start: number, end: number}>}
+ * @throws {GscValidationError} On an unterminated string or an unexpected character.
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const char = source[i];
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+    const start = i;
+
+    if (char === '"' || char === "'") {
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== char) {
+        if (source[i] === '\\' && i + 1 < source.length) i++;
+        value += source[i++];
+      }
+      if (i >= source.length) throw filterError(source, { start, end: source.length }, 'unterminated string.');
+      i++;
+      tokens.push({ type: 'string', value, start, end: i });
+      continue;
+    }
+
+    const symbol = ['!=', '!~', '=~', '==', '=', '~'].find((op) => source.startsWith(op, i));
+    if (symbol) {
+      i += symbol.length;
+      tokens.push({ type: 'op', value: symbol, start, end: i });
+      continue;
+    }
+
+    const word = /^[^\s"'=!~()]+/.exec(source.slice(i));
+    if (!word) throw filterError(source, { start, end: start + 1 }, `unexpected character "${char}".`);
+    i += word[0].length;
+    tokens.push({ type: 'word', value: word[0], start, end: i });
+  }
+  tokens.push({ type: 'end', value: '', start: source.length, end: source.length });
+  return tokens;
+}
+
+// --- Parser ---
+
+/**
+ * Finds the first construct that JavaScript regexes accept but RE2, which Search Console uses for
+ * regex filters, does not: lookahead and lookbehind assertions, and backreferences.
+ * @param {string} pattern The regular expression.
+ * @returns {{construct: string, text: string}|undefined}
+ */
+function findUnsupportedRegexSyntax(pattern) {
+  let inClass = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      const next = pattern[i + 1] || '';
+      if (!inClass && /[1-9]/.test(next)) return { construct: 'a backreference', text: `\\${next}` };
+      if (!inClass && next === 'k' && pattern[i + 2] === '<') return { construct: 'a named backreference', text: '\\k<' };
+      i++; // Skip the escaped character
+    } else if (inClass) {
+      if (char === ']') inClass = false;
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      const lookaround = /^\(\?(<?[=!])/.exec(pattern.slice(i));
+      if (lookaround) {
+        return { construct: lookaround[1][0] === '<' ? 'a lookbehind assertion' : 'a lookahead assertion', text: lookaround[0] };
+      }
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Checks a value against what the dimension and operator accept, and normalizes its case where the API expects it.
+ * @param {string} source The whole expression (for error messages).
+ * @param {string} dimension The dimension.
+ * @param {string} operator The operator.
+ * @param {Object} token The value token.
+ * @returns {string} The value to send.
+ * @throws {GscValidationError} If the value cannot match.
+ */
+function validateValue(source, dimension, operator, token) {
+  const { value } = token;
+  if (value === '') throw filterError(source, token, 'empty value.');
+  if (operator === 'includingRegex' || operator === 'excludingRegex') {
+    try {
+      new RegExp(value);
+    } catch (e) {
+      throw filterError(source, token, `invalid regular expression (${e.message.replace(/^Invalid regular expression: /, '')}); regex filters use RE2 syntax.`);
+    }
+    const unsupported = findUnsupportedRegexSyntax(value);
+    if (unsupported) {
+      throw filterError(source, token, `${unsupported.construct} ("${unsupported.text}") is not supported: regex filters use RE2 syntax, which has no lookarounds or backreferences.`);
+    }
+    return value;
+  }
+  if (operator !== 'equals' && operator !== 'notEquals') return value;
+
+  if (dimension === 'device') {
+    const device = value.toUpperCase();
+    if (!DEVICES.includes(device)) throw filterError(source, token, `unknown device "${value}" (expected one of: ${DEVICES.join(', ')}).`);
+    return device;
+  }
+  if (dimension === 'country') {
+    if (!/^[a-z]{3}$/i.test(value)) throw filterError(source, token, `country must be an ISO 3166-1 alpha-3 code such as "usa", not "${value}".`);
+    return value.toLowerCase();
+  }
+  if (dimension === 'page' && !/^https?:\/\//.test(value)) {
+    throw filterError(source, token, `page equals matches full URLs only; use contains or ~ for "${value}".`);
+  }
+  return value;
+}
+
+/**
+ * Parses a filter expression.
+ * @param {string} expression The expression.
+ * @returns {Array<{dimension: string, operator: string, expression: string}>} The conditions, in order.
+ * @throws {GscValidationError} Pointing at the offending token.
+ */
+function parseFilter(expression) {
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    throw new GscValidationError("filter expression must be a non-empty string.", { operation: 'compileFilter' });
+  }
+  const tokens = tokenize(expression);
+  const filters = [];
+  let index = 0;
+
+  for (;;) {
+    const dimensionToken = tokens[index++];
+    if (dimensionToken.type !== 'word') {
+      throw filterError(expression, dimensionToken, `expected a dimension (${FILTER_DIMENSIONS.join(', ')}).`);
+    }
+    const dimension = dimensionsByLowerName.get(dimensionToken.value.toLowerCase());
+    if (!dimension) {
+      const hint = dimensionToken.value.toLowerCase() === 'date' ? ' Dates are set with startDate/endDate, not filters.' : '';
+      throw filterError(expression, dimensionToken, `unknown dimension "${dimensionToken.value}" (expected one of: ${FILTER_DIMENSIONS.join(', ')}).${hint}`);
+    }
+
+    const operatorToken = tokens[index++];
+    const operator = operatorToken.type === 'op'
+      ? OPERATOR_SYMBOLS[operatorToken.value]
+      : operatorToken.type === 'word' ? operatorsByLowerName.get(operatorToken.value.toLowerCase()) : undefined;
+    if (!operator) {
+      const found = operatorToken.type === 'end' ? 'end of expression' : `"${operatorToken.value}"`;
+      throw filterError(expression, operatorToken, `expected an operator after "${dimensionToken.value}" but found ${found} `
+        + `(expected one of: ${[...Object.keys(OPERATOR_SYMBOLS).filter((s) => s !== '==' && s !== '=~'), ...FILTER_OPERATORS].join(', ')}).`);
+    }
+
+    const valueToken = tokens[index++];
+    if (valueToken.type === 'end' || valueToken.type === 'op'
+      || (valueToken.type === 'word' && ['and', 'or'].includes(valueToken.value.toLowerCase()))) {
+      const found = valueToken.type === 'end' ? 'end of expression' : `"${valueToken.value}"`;
+      throw filterError(expression, valueToken, `expected a value after "${operatorToken.value}" but found ${found} (quote values that are keywords or contain spaces).`);
+    }
+    filters.push({ dimension, operator, expression: validateValue(expression, dimension, operator, valueToken) });
+
+    const joinToken = tokens[index++];
+    if (joinToken.type === 'end') return filters;
+    const join = joinToken.value.toLowerCase();
+    if (joinToken.type === 'word' && join === 'or') {
+      throw filterError(expression, joinToken, "'or' is not supported: Search Console combines filters with AND only. Match alternatives with a regex, e.g. query ~ \"a|b\".");
+    }
+    if (joinToken.type !== 'word' || join !== 'and') {
+      throw filterError(expression, joinToken, `expected "and" or the end of the expression but found "${joinToken.value}" (quote values that contain spaces).`);
+    }
+  }
+}
+
+/**
+ * Compiles a filter expression to the `dimensionFilterGroups` accepted by searchanalytics.query.
+ * @param {string} expression The expression, e.g. 'query contains "pricing" and country = usa'.
+ * @returns {Array<{groupType: string, filters: Array<Object>}>}
+ * @throws {GscValidationError} Pointing at the offending token.
+ */
+function compileFilter(expression) {
+  return [{ groupType: 'and', filters: parseFilter(expression) }];
+}
+
+// --- Module Exports ---
+module.exports = {
+  FILTER_DIMENSIONS,
+  FILTER_OPERATORS,
+  compileFilter,
+  parseFilter,
+};
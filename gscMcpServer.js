@@ -0,0 +1,741 @@
+/**
+ * gscMcpServer.js
+ *
+ * Stdio MCP (Model Context Protocol) server that exposes every function exported by
+ * gscService.js as a tool, so TypingMind (via @typingmind/mcp) can call the
+ * OAuth-backed Search Console service directly.
+ *
+ * Transport: newline-delimited JSON-RPC 2.0 messages on stdin/stdout.
+ * Run with: node gscMcpServer.js
+ */
+
+// stdout carries the JSON-RPC protocol, so all diagnostic output (including the
+// console.log calls inside gscService.js) must go to stderr instead.
+console.log = console.error;
+console.info = console.error;
+
+const readline = require('node:readline');
+const gscService = require('./gscService.js');
+const gscReports = require('./gscReports.js');
+const gscSitemapAudit = require('./gscSitemapAudit.js');
+const gscSnapshots = require('./gscSnapshots.js');
+const { GscError } = require('./gscErrors.js');
+const { FILTER_DIMENSIONS, FILTER_OPERATORS } = require('./gscFilterExpression.js');
+const { version: SERVER_VERSION } = require('./package.json');
+
+const SERVER_NAME = 'gsc-mcp-server';
+const PROTOCOL_VERSION = '2024-11-05';
+
+// JSON-RPC 2.0 error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+// --- Shared Schema Fragments ---
+
+const SEARCH_TYPES = ['web', 'image', 'video', 'news', 'discover', 'googleNews'];
+const AGGREGATION_TYPES = ['auto', 'byPage', 'byProperty'];
+const DIMENSIONS = ['query', 'page', 'country', 'device', 'searchAppearance', 'date'];
+
+const siteUrlProperty = {
+  type: 'string',
+  description: "The property URL, e.g. 'sc-domain:example.com' or 'https://www.example.com/'.",
+};
+
+const feedpathProperty = {
+  type: 'string',
+  description: "The full URL of the sitemap, e.g. 'https://www.example.com/sitemap.xml'.",
+};
+
+const profileProperty = {
+  type: 'string',
+  description: 'Credential profile (Google account) to use. By default the site is routed to the profile that owns it.',
+};
+
+const dateProperty = {
+  type: 'string',
+  pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+  description: 'Date in YYYY-MM-DD format (Pacific Time).',
+};
+
+const dateRangeProperty = {
+  type: 'object',
+  properties: { startDate: dateProperty, endDate: dateProperty },
+  required: ['startDate', 'endDate'],
+};
+
+const dimensionFilterGroupsProperty = {
+  type: 'array',
+  description: 'Optional filter groups applied to the query.',
+  items: {
+    type: 'object',
+    properties: {
+      groupType: { type: 'string', enum: ['and'] },
+      filters: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            dimension: { type: 'string', enum: FILTER_DIMENSIONS },
+            operator: { type: 'string', enum: FILTER_OPERATORS },
+            expression: { type: 'string' },
+          },
+          required: ['dimension', 'expression'],
+        },
+      },
+    },
+    required: ['filters'],
+  },
+};
+
+const filterProperty = {
+  type: 'string',
+  description: 'Filter expression, simpler than dimensionFilterGroups (and combined with them), e.g. '
+    + '\'query contains "pricing" and country = usa and page !~ "/blog/"\'. Conditions are <dimension> <operator> <value> '
+    + 'joined with "and"; operators: =, !=, contains, notContains, ~ (RE2 regex), !~ (not RE2 regex).',
+};
+
+// Inputs shared by the query+page analyses in gscReports.js.
+const analysisProperties = {
+  siteUrl: siteUrlProperty,
+  startDate: dateProperty,
+  endDate: dateProperty,
+  minImpressions: { type: 'integer', minimum: 0, default: 100, description: 'Rows (or queries) with fewer impressions are skipped.' },
+  limit: { type: 'integer', minimum: 1, default: 25, description: 'Maximum results to return.' },
+  dimensionFilterGroups: dimensionFilterGroupsProperty,
+  filter: filterProperty,
+  type: { type: 'string', enum: SEARCH_TYPES, default: 'web' },
+  maxRows: { type: 'integer', minimum: 1, description: 'Row ceiling for the underlying query+page query.' },
+  profile: profileProperty,
+};
+
+/**
+ * Picks the options common to the analyses out of a tool call's arguments.
+ * @param {Object} args The tool arguments.
+ * @returns {Object}
+ */
+function analysisOptions(args) {
+  return {
+    minImpressions: args.minImpressions,
+    limit: args.limit,
+    dimensionFilterGroups: args.dimensionFilterGroups,
+    filter: args.filter,
+    type: args.type,
+    maxRows: args.maxRows,
+    profile: args.profile,
+  };
+}
+
+// Options shared by the write tools, which run under the policy in gscPolicy.js.
+const writePolicyProperties = {
+  dryRun: { type: 'boolean', default: false, description: 'Only preview the change; nothing is written.' },
+  confirm: {
+    type: 'string',
+    description: 'The confirmationToken returned by a preview of this exact call. Without it, the call only returns the preview.',
+  },
+};
+const WRITE_POLICY_NOTE = ' Writes are two-step: the first call returns a preview with a confirmationToken, and the change is '
+  + 'made only when the same call is repeated with confirm set to that token.';
+
+// --- Tool Definitions ---
+
+/**
+ * One entry per exported gscService/gscReports/gscSitemapAudit/gscSnapshots function. `invoke` maps the tool's named
+ * arguments onto the function's positional parameters.
+ */
+const TOOLS = [
+  {
+    name: 'listProfiles',
+    description: 'Lists the configured GSC credential profiles (Google accounts) and whether each is authorized.',
+    inputSchema: { type: 'object', properties: {} },
+    invoke: () => gscService.listProfiles().map((name) => ({ name, authorized: gscService.isAuthInitialized(name) })),
+  },
+  {
+    name: 'listSites',
+    description: 'Lists all Search Console properties accessible by the authenticated user. Without a profile, '
+      + 'properties from every profile are merged and each entry names the profile that serves it.',
+    inputSchema: {
+      type: 'object',
+      properties: { profile: { type: 'string', description: 'Only list the properties of this credential profile.' } },
+    },
+    invoke: (args) => gscService.listSites({ profile: args.profile }),
+  },
+  {
+    name: 'getSite',
+    description: "Gets a single Search Console property's information, including the user's permission level.",
+    inputSchema: {
+      type: 'object',
+      properties: { siteUrl: siteUrlProperty, profile: profileProperty },
+      required: ['siteUrl'],
+    },
+    invoke: (args) => gscService.getSite(args.siteUrl, { profile: args.profile }),
+  },
+  {
+    name: 'addSite',
+    description: `Adds a property to Search Console. The authenticated user must be an owner of the site.${WRITE_POLICY_NOTE}`,
+    inputSchema: {
+      type: 'object',
+      properties: { siteUrl: siteUrlProperty, profile: profileProperty, ...writePolicyProperties },
+      required: ['siteUrl'],
+    },
+    invoke: (args) => gscService.addSite(args.siteUrl, { profile: args.profile, dryRun: args.dryRun, confirm: args.confirm }),
+  },
+  {
+    name: 'deleteSite',
+    description: `Removes a property from Search Console. The authenticated user must be an owner of the site.${WRITE_POLICY_NOTE}`,
+    inputSchema: {
+      type: 'object',
+      properties: { siteUrl: siteUrlProperty, profile: profileProperty, ...writePolicyProperties },
+      required: ['siteUrl'],
+    },
+    invoke: (args) => gscService.deleteSite(args.siteUrl, { profile: args.profile, dryRun: args.dryRun, confirm: args.confirm }),
+  },
+  {
+    name: 'queryAnalytics',
+    description: 'Queries search analytics (clicks, impressions, CTR, position) for a property, grouped by the given dimensions.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        siteUrl: siteUrlProperty,
+        startDate: dateProperty,
+        endDate: dateProperty,
+        dimensions: {
+          type: 'array',
+          items: { type: 'string', enum: DIMENSIONS },
+          minItems: 1,
+          description: 'Dimensions to group rows by, e.g. ["query"] or ["date", "device"].',
+        },
+        dimensionFilterGroups: dimensionFilterGroupsProperty,
+        filter: filterProperty,
+        type: { type: 'string', enum: SEARCH_TYPES, default: 'web' },
+        aggregationType: { type: 'string', enum: AGGREGATION_TYPES, default: 'auto' },
+        rowLimit: { type: 'integer', minimum: 1, maximum: 25000, default: 1000 },
+        startRow: { type: 'integer', minimum: 0, default: 0 },
+        fetchAll: {
+          type: 'boolean',
+          default: false,
+          description: 'Page through all rows from startRow instead of returning a single page. rowLimit then sets the page size.',
+        },
+        maxRows: { type: 'integer', minimum: 1, description: 'Overall row ceiling when fetchAll is true.' },
+        profile: profileProperty,
+      },
+      required: ['siteUrl', 'startDate', 'endDate', 'dimensions'],
+    },
+    invoke: (args) => gscService.queryAnalytics(args.siteUrl, args.startDate, args.endDate, args.dimensions, {
+      dimensionFilterGroups: args.dimensionFilterGroups,
+      filter: args.filter,
+      type: args.type,
+      aggregationType: args.aggregationType,
+      rowLimit: args.rowLimit,
+      startRow: args.startRow,
+      fetchAll: args.fetchAll,
+      maxRows: args.maxRows,
+      profile: args.profile,
+    }),
+  },
+  {
+    name: 'inspectUrl',
+    description: "Inspects a URL's indexing status in Google's index (coverage, crawl, canonical, mobile usability, rich results).",
+    inputSchema: {
+      type: 'object',
+      properties: {
+        siteUrl: siteUrlProperty,
+        inspectionUrl: { type: 'string', description: 'The full URL to inspect. Must belong to siteUrl.' },
+        languageCode: { type: 'string', default: 'en-US', description: 'IETF BCP-47 language code for translated messages.' },
+        profile: profileProperty,
+      },
+      required: ['siteUrl', 'inspectionUrl'],
+    },
+    invoke: (args) => gscService.inspectUrl(args.siteUrl, args.inspectionUrl, args.languageCode, { profile: args.profile }),
+  },
+  {
+    name: 'inspectUrls',
+    description: 'Inspects the index status of many URLs of one property with bounded concurrency and a per-site quota budget. '
+      + 'Returns counts, a summary grouped by verdict and coverageState, and per-URL indexStatusResult details.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        siteUrl: siteUrlProperty,
+        urls: {
+          type: 'array',
+          items: { type: 'string' },
+          minItems: 1,
+          description: 'Full URLs to inspect. Each must belong to siteUrl.',
+        },
+        languageCode: { type: 'string', default: 'en-US', description: 'IETF BCP-47 language code for translated messages.' },
+        concurrency: { type: 'integer', minimum: 1, maximum: 20, default: 5 },
+        dailyQuota: { type: 'integer', minimum: 1, default: 2000, description: 'Daily inspection budget for the site.' },
+        perMinuteQuota: { type: 'integer', minimum: 1, default: 600, description: 'Per-minute inspection budget for the site.' },
+        profile: profileProperty,
+      },
+      required: ['siteUrl', 'urls'],
+    },
+    invoke: (args) => gscService.inspectUrls(args.siteUrl, args.urls, {
+      languageCode: args.languageCode,
+      concurrency: args.concurrency,
+      dailyQuota: args.dailyQuota,
+      perMinuteQuota: args.perMinuteQuota,
+      profile: args.profile,
+    }),
+  },
+  {
+    name: 'listSitemaps',
+    description: 'Lists the sitemaps submitted for a property.',
+    inputSchema: {
+      type: 'object',
+      properties: { siteUrl: siteUrlProperty, profile: profileProperty },
+      required: ['siteUrl'],
+    },
+    invoke: (args) => gscService.listSitemaps(args.siteUrl, { profile: args.profile }),
+  },
+  {
+    name: 'getSitemap',
+    description: 'Gets information about a specific submitted sitemap.',
+    inputSchema: {
+      type: 'object',
+      properties: { siteUrl: siteUrlProperty, feedpath: feedpathProperty, profile: profileProperty },
+      required: ['siteUrl', 'feedpath'],
+    },
+    invoke: (args) => gscService.getSitemap(args.siteUrl, args.feedpath, { profile: args.profile }),
+  },
+  {
+    name: 'submitSitemap',
+    description: `Submits a sitemap for a property.${WRITE_POLICY_NOTE}`,
+    inputSchema: {
+      type: 'object',
+      properties: { siteUrl: siteUrlProperty, feedpath: feedpathProperty, profile: profileProperty, ...writePolicyProperties },
+      required: ['siteUrl', 'feedpath'],
+    },
+    invoke: (args) => gscService.submitSitemap(args.siteUrl, args.feedpath, { profile: args.profile, dryRun: args.dryRun, confirm: args.confirm }),
+  },
+  {
+    name: 'deleteSitemap',
+    description: `Deletes a sitemap from a property.${WRITE_POLICY_NOTE}`,
+    inputSchema: {
+      type: 'object',
+      properties: { siteUrl: siteUrlProperty, feedpath: feedpathProperty, profile: profileProperty, ...writePolicyProperties },
+      required: ['siteUrl', 'feedpath'],
+    },
+    invoke: (args) => gscService.deleteSitemap(args.siteUrl, args.feedpath, { profile: args.profile, dryRun: args.dryRun, confirm: args.confirm }),
+  },
+  {
+    name: 'comparePeriods',
+    description: 'Compares search analytics between two date ranges, joined on the dimension keys. Returns total deltas and '
+      + 'ranked gainers, losers, new entries and lost entries. For position, a negative delta is an improvement.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        siteUrl: siteUrlProperty,
+        dimensions: {
+          type: 'array',
+          items: { type: 'string', enum: DIMENSIONS },
+          minItems: 1,
+          description: 'Dimensions to join rows on, e.g. ["query"] or ["query", "page"].',
+        },
+        currentRange: { ...dateRangeProperty, description: 'The period under review.' },
+        previousRange: {
+          ...dateRangeProperty,
+          description: 'The baseline period. Defaults to the equally long period immediately before currentRange.',
+        },
+        dimensionFilterGroups: dimensionFilterGroupsProperty,
+        filter: filterProperty,
+        type: { type: 'string', enum: SEARCH_TYPES, default: 'web' },
+        minImpressions: {
+          type: 'integer',
+          minimum: 0,
+          default: 10,
+          description: 'Rows below this many impressions in both periods are left out of the ranked lists.',
+        },
+        limit: { type: 'integer', minimum: 1, default: 25, description: 'Maximum entries per ranked list.' },
+        rankBy: { type: 'string', enum: ['clicks', 'impressions'], default: 'clicks' },
+        maxRows: { type: 'integer', minimum: 1, description: 'Row ceiling per period.' },
+        profile: profileProperty,
+      },
+      required: ['siteUrl', 'dimensions', 'currentRange'],
+    },
+    invoke: (args) => gscReports.comparePeriods(args.siteUrl, args.dimensions, args.currentRange, args.previousRange, {
+      dimensionFilterGroups: args.dimensionFilterGroups,
+      filter: args.filter,
+      type: args.type,
+      minImpressions: args.minImpressions,
+      limit: args.limit,
+      rankBy: args.rankBy,
+      maxRows: args.maxRows,
+      profile: args.profile,
+    }),
+  },
+  {
+    name: 'findCannibalization',
+    description: 'Finds queries for which several pages of the site split the impressions, with the share, clicks and '
+      + 'position of each page. Ranked by the impressions the top page does not get; each result explains why it was flagged.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...analysisProperties,
+        minShare: {
+          type: 'number',
+          minimum: 0,
+          maximum: 1,
+          default: 0.1,
+          description: 'A page competes when it gets at least this share of the impressions for the query.',
+        },
+      },
+      required: ['siteUrl', 'startDate', 'endDate'],
+    },
+    invoke: (args) => gscReports.findCannibalization(args.siteUrl, args.startDate, args.endDate, {
+      ...analysisOptions(args),
+      minShare: args.minShare,
+    }),
+  },
+  {
+    name: 'findCtrOpportunities',
+    description: 'Finds query+page pairs whose CTR is well below the CTR expected at their average position. '
+      + 'Ranked by the clicks missed compared with the expected CTR; each result explains the gap.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...analysisProperties,
+        maxCtrRatio: {
+          type: 'number',
+          minimum: 0,
+          maximum: 1,
+          default: 0.5,
+          description: 'Flag rows whose CTR is below this fraction of the expected CTR.',
+        },
+        ctrCurve: {
+          type: 'array',
+          items: { type: 'number', minimum: 0, maximum: 1 },
+          minItems: 1,
+          description: 'Expected CTR by position (first item = position 1). Defaults to a built-in curve for positions 1-20.',
+        },
+      },
+      required: ['siteUrl', 'startDate', 'endDate'],
+    },
+    invoke: (args) => gscReports.findCtrOpportunities(args.siteUrl, args.startDate, args.endDate, {
+      ...analysisOptions(args),
+      maxCtrRatio: args.maxCtrRatio,
+      ctrCurve: args.ctrCurve,
+    }),
+  },
+  {
+    name: 'findStrikingDistance',
+    description: 'Finds striking-distance keywords: query+page pairs ranking just off the top (positions 8-20 by default) '
+      + 'with high impressions. Ranked by the extra clicks reaching targetPosition would bring; each result explains the estimate.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...analysisProperties,
+        minPosition: { type: 'number', minimum: 1, default: 8, description: 'Best average position included.' },
+        maxPosition: { type: 'number', minimum: 1, default: 20, description: 'Worst average position included.' },
+        targetPosition: { type: 'integer', minimum: 1, maximum: 20, default: 3, description: 'Position used to estimate the upside.' },
+      },
+      required: ['siteUrl', 'startDate', 'endDate'],
+    },
+    invoke: (args) => gscReports.findStrikingDistance(args.siteUrl, args.startDate, args.endDate, {
+      ...analysisOptions(args),
+      minPosition: args.minPosition,
+      maxPosition: args.maxPosition,
+      targetPosition: args.targetPosition,
+    }),
+  },
+  {
+    name: 'auditSitemaps',
+    description: 'Fetches and parses the sitemaps of a property (following sitemap indexes and .gz files) and cross-checks them against '
+      + 'Search Console: sitemaps that no longer resolve, duplicate and out-of-scope entries, and listed URLs that are not '
+      + 'indexed according to URL inspection. Inspection uses the daily URL inspection quota.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        siteUrl: siteUrlProperty,
+        sitemaps: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Sitemap URLs to audit, within the property (others are reported as out of scope, not fetched). Defaults to every sitemap submitted in Search Console.',
+        },
+        inspect: {
+          type: 'string',
+          enum: ['sample', 'all', 'none'],
+          default: 'sample',
+          description: 'Inspect a sample, every, or none of the listed URLs.',
+        },
+        sampleSize: { type: 'integer', minimum: 1, default: 50, description: 'URLs to inspect in sample mode.' },
+        maxSitemaps: { type: 'integer', minimum: 1, default: 100, description: 'Maximum sitemap documents to fetch.' },
+        profile: profileProperty,
+      },
+      required: ['siteUrl'],
+    },
+    invoke: (args) => gscSitemapAudit.auditSitemaps(args.siteUrl, {
+      sitemaps: args.sitemaps,
+      inspect: args.inspect,
+      sampleSize: args.sampleSize,
+      maxSitemaps: args.maxSitemaps,
+      profile: args.profile,
+    }),
+  },
+  {
+    name: 'listSnapshotDays',
+    description: 'Lists the days of search analytics stored locally for a property by the snapshot scheduler.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        siteUrl: siteUrlProperty,
+        type: { type: 'string', enum: SEARCH_TYPES, default: 'web' },
+      },
+      required: ['siteUrl'],
+    },
+    invoke: (args) => gscSnapshots.listSnapshotDays(args.siteUrl, { type: args.type }),
+  },
+  {
+    name: 'querySnapshots',
+    description: 'Queries locally stored daily search analytics snapshots, including days older than the ~16 months GSC keeps. '
+      + 'Works like queryAnalytics for the date, query, page, country and device dimensions; the result reports which days '
+      + 'in the range are missing from the store.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        siteUrl: siteUrlProperty,
+        startDate: dateProperty,
+        endDate: dateProperty,
+        dimensions: {
+          type: 'array',
+          items: { type: 'string', enum: ['date', ...gscSnapshots.SNAPSHOT_DIMENSIONS] },
+          minItems: 1,
+        },
+        dimensionFilterGroups: dimensionFilterGroupsProperty,
+        filter: filterProperty,
+        type: { type: 'string', enum: SEARCH_TYPES, default: 'web' },
+        rowLimit: { type: 'integer', minimum: 1, default: 1000 },
+        startRow: { type: 'integer', minimum: 0, default: 0 },
+      },
+      required: ['siteUrl', 'startDate', 'endDate', 'dimensions'],
+    },
+    invoke: (args) => gscSnapshots.querySnapshots(args.siteUrl, args.startDate, args.endDate, args.dimensions, {
+      dimensionFilterGroups: args.dimensionFilterGroups,
+      filter: args.filter,
+      type: args.type,
+      rowLimit: args.rowLimit,
+      startRow: args.startRow,
+    }),
+  },
+];
+
+const toolsByName = new Map(TOOLS.map((tool) => [tool.name, tool]));
+
+// Exports that cannot be expressed as a single request/response tool call.
+const NON_TOOL_EXPORTS = new Set([
+  'queryAnalyticsPages', // async iterator; exposed through queryAnalytics' fetchAll option
+  'previousPeriod', // date helper used by comparePeriods
+  'getCacheInfo', // reported alongside every cacheable tool result instead
+  'isAuthInitialized', // reported in the initialize response
+  'verifyAuth', // health check behind /readyz in my-simple-server.js
+  'isInScope', // URL scope helper used by auditSitemaps
+  'parseSitemapXml', // XML helper used by auditSitemaps
+  'snapshotDay', // run by the snapshot scheduler in start-mcp.js
+  'backfillSnapshots', // run by the snapshot scheduler in start-mcp.js
+  'startSnapshotScheduler', // started by start-mcp.js
+]);
+
+// Warn when a GSC module grows a function that has no tool definition yet.
+const TOOL_MODULES = [['gscService', gscService], ['gscReports', gscReports], ['gscSitemapAudit', gscSitemapAudit], ['gscSnapshots', gscSnapshots]];
+for (const [moduleName, moduleExports] of TOOL_MODULES) {
+  for (const [exportName, value] of Object.entries(moduleExports)) {
+    if (typeof value === 'function' && !toolsByName.has(exportName) && !NON_TOOL_EXPORTS.has(exportName)) {
+      console.warn(`gscMcpServer: ${moduleName} export "${exportName}" has no tool definition and will not be exposed.`);
+    }
+  }
+}
+
+// --- Argument Validation ---
+
+/**
+ * Validates a value against the subset of JSON Schema used by the tool definitions
+ * (type, enum, pattern, minimum/maximum, minItems, items, properties, required).
+ * @param {Object} schema The schema to validate against.
+ * @param {*} value The value to check.
+ * @param {string} path Dotted path of the value, used in error messages.
+ * @returns {Array<string>} A list of validation problems (empty when valid).
+ */
+function validateAgainstSchema(schema, value, path) {
+  const problems = [];
+  const actualType = Array.isArray(value) ? 'array' : (value === null ? 'null' : typeof value);
+
+  if (schema.type === 'integer') {
+    if (!Number.isInteger(value)) return [`${path} must be an integer`];
+  } else if (schema.type && schema.type !== actualType) {
+    return [`${path} must be of type ${schema.type}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    problems.push(`${path} does not match the expected format ${schema.pattern}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    problems.push(`${path} must be >= ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    problems.push(`${path} must be <= ${schema.maximum}`);
+  }
+
+  if (actualType === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      problems.push(`${path} must contain at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => problems.push(...validateAgainstSchema(schema.items, item, `${path}[${i}]`)));
+    }
+  }
+
+  if (actualType === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) problems.push(`${path}.${key} is required`);
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        problems.push(...validateAgainstSchema(propSchema, value[key], `${path}.${key}`));
+      }
+    }
+  }
+
+  return problems;
+}
+
+// --- Request Handling ---
+
+/**
+ * Builds a JSON-RPC error object.
+ * @param {number} code JSON-RPC error code.
+ * @param {string} message Human-readable error message.
+ * @returns {{code: number, message: string}}
+ */
+function rpcError(code, message) {
+  return { code, message };
+}
+
+/**
+ * Executes a tools/call request. Invalid tool names or arguments are protocol errors;
+ * failures raised by gscService are returned as tool results with isError set, so
+ * the model can see the GSC error (type, status, reasons) and react to it.
+ * @param {Object} params The tools/call params ({ name, arguments }).
+ * @returns {Promise<Object>} The CallToolResult.
+ */
+async function callTool(params) {
+  const tool = toolsByName.get(params && params.name);
+  if (!tool) {
+    throw rpcError(INVALID_PARAMS, `Unknown tool: ${params && params.name}`);
+  }
+
+  const args = (params && params.arguments) || {};
+  const problems = validateAgainstSchema(tool.inputSchema, args, 'arguments');
+  if (problems.length > 0) {
+    throw rpcError(INVALID_PARAMS, `Invalid arguments for ${tool.name}: ${problems.join('; ')}`);
+  }
+
+  try {
+    const result = await tool.invoke(args);
+    const content = [{ type: 'text', text: JSON.stringify(result === undefined ? null : result, null, 2) }];
+    const cacheInfo = gscService.getCacheInfo(result);
+    if (cacheInfo) {
+      content.push({ type: 'text', text: JSON.stringify({ cache: cacheInfo }) });
+    }
+    return { content };
+  } catch (e) {
+    // Typed GSC errors carry status, reason codes and retryability the model can act on.
+    const text = e instanceof GscError ? JSON.stringify(e, null, 2) : e.message;
+    return {
+      content: [{ type: 'text', text }],
+      isError: true,
+    };
+  }
+}
+
+/**
+ * Dispatches a single JSON-RPC message.
+ * @param {Object} message The parsed JSON-RPC message.
+ * @returns {Promise<Object|null>} The response to send, or null for notifications.
+ */
+async function handleMessage(message) {
+  if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+    return { jsonrpc: '2.0', id: (message && message.id) ?? null, error: rpcError(INVALID_REQUEST, 'Invalid JSON-RPC request') };
+  }
+
+  const isNotification = message.id === undefined;
+  let result;
+  try {
+    switch (message.method) {
+      case 'initialize':
+        result = {
+          protocolVersion: PROTOCOL_VERSION,
+          capabilities: { tools: {} },
+          serverInfo: { name: SERVER_NAME, version: SERVER_VERSION },
+          instructions: gscService.isAuthInitialized()
+            ? undefined
+            : 'GSC OAuth credentials are not configured; every tool call will fail until they are set or authorized via /oauth/start.',
+        };
+        break;
+      case 'ping':
+        result = {};
+        break;
+      case 'tools/list':
+        result = {
+          tools: TOOLS.map(({ name, description, inputSchema }) => ({ name, description, inputSchema })),
+        };
+        break;
+      case 'tools/call':
+        result = await callTool(message.params);
+        break;
+      default:
+        if (isNotification) return null; // e.g. notifications/initialized, notifications/cancelled
+        throw rpcError(METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+    }
+  } catch (e) {
+    if (isNotification) return null;
+    const error = typeof e.code === 'number' ? rpcError(e.code, e.message) : rpcError(INTERNAL_ERROR, e.message);
+    return { jsonrpc: '2.0', id: message.id, error };
+  }
+
+  return isNotification ? null : { jsonrpc: '2.0', id: message.id, result };
+}
+
+/**
+ * Starts reading newline-delimited JSON-RPC messages from stdin and writing responses to stdout.
+ */
+function startStdioServer() {
+  const send = (response) => process.stdout.write(JSON.stringify(response) + '\n');
+  const rl = readline.createInterface({ input: process.stdin });
+  const pending = new Set(); // In-flight requests, drained before exiting when stdin closes
+
+  rl.on('line', (line) => {
+    if (!line.trim()) return;
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (e) {
+      send({ jsonrpc: '2.0', id: null, error: rpcError(PARSE_ERROR, `Parse error: ${e.message}`) });
+      return;
+    }
+    const task = handleMessage(message)
+      .then((response) => { if (response) send(response); })
+      .finally(() => pending.delete(task));
+    pending.add(task);
+  });
+
+  rl.on('close', async () => {
+    await Promise.allSettled([...pending]);
+    process.exit(0);
+  });
+  console.error(`gscMcpServer: ${SERVER_NAME} v${SERVER_VERSION} listening on stdio with ${TOOLS.length} tools.`);
+}
+
+if (require.main === module) {
+  startStdioServer();
+}
+
+module.exports = {
+  TOOLS,
+  handleMessage,
+  validateAgainstSchema,
+};
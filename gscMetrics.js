@@ -0,0 +1,297 @@
+/**
+ * gscMetrics.js
+ *
+ * Metrics for gscService (API calls by operation and outcome, latency, retries and OAuth token
+ * refreshes), rendered in the Prometheus text exposition format for /metrics in my-simple-server.js.
+ *
+ * GSC calls happen in other processes than the HTTP server: the stdio MCP server (gscMcpServer.js)
+ * and the snapshot scheduler in start-mcp.js. So, like the supervisor status (see mcpSupervisor.js),
+ * each process writes its metrics to GSC_METRICS_DIR/<pid>.json, and renderPrometheus adds up the
+ * files of the processes that are still running. A process's counters go away when it exits, which
+ * Prometheus treats as a counter reset.
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const { isProcessAlive, writeFileAtomic } = require('./stateFiles.js');
+
+const METRICS_DIR = process.env.GSC_METRICS_DIR || path.join(__dirname, '.gsc-metrics');
+const METRICS_FILE = path.join(METRICS_DIR, `${process.pid}.json`);
+const PERSIST_DELAY_MS = 1000; // Writes are batched so a burst of calls costs one write
+
+// Upper bounds (seconds) of the latency histogram buckets.
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const callCounts = new Map(); // 'operation|outcome' -> count
+const latencies = new Map(); // operation -> { buckets: Array<number>, sum, count }
+const retryCounts = new Map(); // 'operation|errorType' -> count
+const tokenRefreshes = new Map(); // profile -> { lastSuccessAt, failures }
+
+let persistTimer = null;
+let persistFailed = false;
+
+// --- Sharing Between Processes ---
+
+/**
+ * Writes this process's metrics file now.
+ */
+function persistMetrics() {
+  try {
+    writeFileAtomic(METRICS_FILE, JSON.stringify({
+      pid: process.pid,
+      updatedAt: new Date().toISOString(),
+      calls: Object.fromEntries(callCounts),
+      latencies: Object.fromEntries(latencies),
+      retries: Object.fromEntries(retryCounts),
+      tokenRefreshes: Object.fromEntries(tokenRefreshes),
+    }));
+    persistFailed = false;
+  } catch (e) {
+    if (!persistFailed) console.error(`gscMetrics: Could not write metrics to ${METRICS_FILE}: ${e.message}`);
+    persistFailed = true;
+  }
+}
+
+/**
+ * Schedules a write of this process's metrics, unless one is already pending.
+ */
+function schedulePersist() {
+  if (persistTimer) return;
+  persistTimer = setTimeout(() => {
+    persistTimer = null;
+    persistMetrics();
+  }, PERSIST_DELAY_MS);
+  persistTimer.unref(); // Never keeps a finished process alive
+}
+
+/**
+ * Reads the metrics written by the other running processes. Files left by processes that have
+ * exited are removed.
+ * @returns {Array<Object>}
+ */
+function readOtherProcesses() {
+  let names;
+  try {
+    names = fs.readdirSync(METRICS_DIR);
+  } catch (e) {
+    return [];
+  }
+  const snapshots = [];
+  for (const name of names) {
+    const match = /^(\d+)\.json$/.exec(name);
+    if (!match || Number(match[1]) === process.pid) continue;
+    const filePath = path.join(METRICS_DIR, name);
+    if (!isProcessAlive(Number(match[1]))) {
+      fs.rmSync(filePath, { force: true });
+      continue;
+    }
+    try {
+      snapshots.push(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    } catch (e) {
+      // Removed since the listing, or not a metrics file
+    }
+  }
+  return snapshots;
+}
+
+/**
+ * Adds up this process's metrics and those of the other running processes.
+ * @returns {{calls: Map, latencies: Map, retries: Map, tokenRefreshes: Map}}
+ */
+function collectMetrics() {
+  const merged = {
+    calls: new Map(callCounts),
+    latencies: new Map([...latencies].map(([operation, h]) => [operation, { ...h, buckets: [...h.buckets] }])),
+    retries: new Map(retryCounts),
+    tokenRefreshes: new Map([...tokenRefreshes].map(([profile, entry]) => [profile, { ...entry }])),
+  };
+  for (const other of readOtherProcesses()) {
+    for (const [key, count] of Object.entries(other.calls || {})) {
+      merged.calls.set(key, (merged.calls.get(key) || 0) + count);
+    }
+    for (const [key, count] of Object.entries(other.retries || {})) {
+      merged.retries.set(key, (merged.retries.get(key) || 0) + count);
+    }
+    for (const [operation, h] of Object.entries(other.latencies || {})) {
+      const histogram = merged.latencies.get(operation) || { buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 };
+      h.buckets.forEach((count, i) => { histogram.buckets[i] += count; });
+      histogram.sum += h.sum;
+      histogram.count += h.count;
+      merged.latencies.set(operation, histogram);
+    }
+    for (const [profile, entry] of Object.entries(other.tokenRefreshes || {})) {
+      const total = merged.tokenRefreshes.get(profile) || { lastSuccessAt: null, failures: 0 };
+      if (entry.lastSuccessAt && entry.lastSuccessAt > (total.lastSuccessAt || 0)) total.lastSuccessAt = entry.lastSuccessAt;
+      total.failures += entry.failures;
+      merged.tokenRefreshes.set(profile, total);
+    }
+  }
+  return merged;
+}
+
+// --- Recording ---
+
+/**
+ * Normalizes an operation name to a low-cardinality label, e.g. 'getSitemap for https://x.com/sitemap.xml' -> 'getSitemap'.
+ * @param {string} operationName The operation name used in logs and errors.
+ * @returns {string}
+ */
+function operationLabel(operationName) {
+  return String(operationName).split(' ')[0];
+}
+
+/**
+ * Records one completed API call.
+ * @param {string} operationName The operation.
+ * @param {string} outcome 'success', 'cache_hit', or the GscError class name of the failure.
+ * @param {number} [durationMs] Wall time including retries; omitted for cache hits.
+ */
+function recordCall(operationName, outcome, durationMs) {
+  const operation = operationLabel(operationName);
+  const key = `${operation}|${outcome}`;
+  callCounts.set(key, (callCounts.get(key) || 0) + 1);
+  schedulePersist();
+  if (durationMs === undefined) return;
+
+  let histogram = latencies.get(operation);
+  if (!histogram) {
+    histogram = { buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 };
+    latencies.set(operation, histogram);
+  }
+  const seconds = durationMs / 1000;
+  LATENCY_BUCKETS.forEach((bound, i) => {
+    if (seconds <= bound) histogram.buckets[i]++;
+  });
+  histogram.sum += seconds;
+  histogram.count++;
+}
+
+/**
+ * Records one retry of a failed API call.
+ * @param {string} operationName The operation.
+ * @param {string} errorType The GscError class name that triggered the retry.
+ */
+function recordRetry(operationName, errorType) {
+  const key = `${operationLabel(operationName)}|${errorType}`;
+  retryCounts.set(key, (retryCounts.get(key) || 0) + 1);
+  schedulePersist();
+}
+
+/**
+ * Records the outcome of an OAuth access-token refresh.
+ * @param {string} profile The credential profile.
+ * @param {boolean} succeeded Whether the refresh succeeded.
+ */
+function recordTokenRefresh(profile, succeeded) {
+  const entry = tokenRefreshes.get(profile) || { lastSuccessAt: null, failures: 0 };
+  if (succeeded) entry.lastSuccessAt = Date.now();
+  else entry.failures++;
+  tokenRefreshes.set(profile, entry);
+  schedulePersist();
+}
+
+/**
+ * Returns when a profile's token was last refreshed successfully by any running process.
+ * @param {string} profile The credential profile.
+ * @returns {number|null} Epoch milliseconds, or null if it never was.
+ */
+function getLastTokenRefresh(profile) {
+  const entry = collectMetrics().tokenRefreshes.get(profile);
+  return entry ? entry.lastSuccessAt : null;
+}
+
+// --- Rendering ---
+
+/**
+ * Escapes a label value for the Prometheus text format.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Formats a label set, e.g. {operation: 'getSite'} -> '{operation="getSite"}'.
+ * @param {Object} labels
+ * @returns {string}
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Renders every metric, summed over the running processes, in the Prometheus text exposition
+ * format (version 0.0.4).
+ * @param {Array<string>} [extraLines] Additional, already formatted metric lines to append.
+ * @returns {string}
+ */
+function renderPrometheus(extraLines = []) {
+  const { calls, latencies: histograms, retries, tokenRefreshes: refreshes } = collectMetrics();
+  const lines = [];
+
+  lines.push('# HELP gsc_api_calls_total GSC API calls by operation and outcome (success, cache_hit or the error type).');
+  lines.push('# TYPE gsc_api_calls_total counter');
+  for (const [key, count] of calls) {
+    const [operation, outcome] = key.split('|');
+    lines.push(`gsc_api_calls_total${formatLabels({ operation, outcome })} ${count}`);
+  }
+
+  lines.push('# HELP gsc_api_call_duration_seconds GSC API call latency, including retries.');
+  lines.push('# TYPE gsc_api_call_duration_seconds histogram');
+  for (const [operation, histogram] of histograms) {
+    LATENCY_BUCKETS.forEach((bound, i) => {
+      lines.push(`gsc_api_call_duration_seconds_bucket${formatLabels({ operation, le: bound })} ${histogram.buckets[i]}`);
+    });
+    lines.push(`gsc_api_call_duration_seconds_bucket${formatLabels({ operation, le: '+Inf' })} ${histogram.count}`);
+    lines.push(`gsc_api_call_duration_seconds_sum${formatLabels({ operation })} ${histogram.sum}`);
+    lines.push(`gsc_api_call_duration_seconds_count${formatLabels({ operation })} ${histogram.count}`);
+  }
+
+  lines.push('# HELP gsc_api_retries_total Retries of GSC API calls by operation and the error that triggered them.');
+  lines.push('# TYPE gsc_api_retries_total counter');
+  for (const [key, count] of retries) {
+    const [operation, error] = key.split('|');
+    lines.push(`gsc_api_retries_total${formatLabels({ operation, error })} ${count}`);
+  }
+
+  lines.push('# HELP gsc_token_refresh_last_success_timestamp_seconds When the OAuth access token was last refreshed successfully.');
+  lines.push('# TYPE gsc_token_refresh_last_success_timestamp_seconds gauge');
+  for (const [profile, entry] of refreshes) {
+    if (entry.lastSuccessAt) {
+      lines.push(`gsc_token_refresh_last_success_timestamp_seconds${formatLabels({ profile })} ${entry.lastSuccessAt / 1000}`);
+    }
+  }
+  lines.push('# HELP gsc_token_refresh_failures_total Failed OAuth access token refreshes.');
+  lines.push('# TYPE gsc_token_refresh_failures_total counter');
+  for (const [profile, entry] of refreshes) {
+    lines.push(`gsc_token_refresh_failures_total${formatLabels({ profile })} ${entry.failures}`);
+  }
+
+  return `${[...lines, ...extraLines].join('\n')}\n`;
+}
+
+/**
+ * Clears this process's metrics.
+ */
+function resetMetrics() {
+  callCounts.clear();
+  latencies.clear();
+  retryCounts.clear();
+  tokenRefreshes.clear();
+  schedulePersist();
+}
+
+// --- Module Exports ---
+module.exports = {
+  LATENCY_BUCKETS,
+  METRICS_DIR,
+  formatLabels,
+  getLastTokenRefresh,
+  persistMetrics,
+  recordCall,
+  recordRetry,
+  recordTokenRefresh,
+  renderPrometheus,
+  resetMetrics,
+};
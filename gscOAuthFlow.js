@@ -0,0 +1,99 @@
+/**
+ * gscOAuthFlow.js
+ *
+ * OAuth 2.0 authorization-code flow used to mint (and rotate) the GSC refresh token.
+ * my-simple-server.js exposes it as /oauth/start and /oauth/callback; the resulting
+ * refresh token is written to the credential store that gscService.js reads.
+ */
+const crypto = require('node:crypto');
+const { google } = require('googleapis');
+const { saveCredentials } = require('./gscCredentialStore.js');
+const { DEFAULT_PROFILE, PROFILE_NAME_PATTERN, loadProfileConfigs, oauthEndpoints } = require('./gscProfiles.js');
+
+const GSC_OAUTH_SCOPES = ['https://www.googleapis.com/auth/webmasters'];
+const STATE_TTL_MS = 10 * 60 * 1000; // How long a consent screen may stay open
+
+// Outstanding `state` values issued by startAuthorization (state -> { profile, expiresAt }).
+const pendingStates = new Map();
+
+/**
+ * Builds an OAuth2 client for a profile. Profiles without their own client settings
+ * (including ones that only exist in the credential store) use the GSC_OAUTH_* environment variables.
+ * @param {string} profile The credential profile.
+ * @returns {OAuth2Client}
+ * @throws {Error} If the client ID, secret or redirect URI is missing.
+ */
+function createOAuthClient(profile) {
+  const config = loadProfileConfigs().get(profile) || {
+    clientId: process.env.GSC_OAUTH_CLIENT_ID,
+    clientSecret: process.env.GSC_OAUTH_CLIENT_SECRET,
+    redirectUri: process.env.GSC_OAUTH_REDIRECT_URI,
+  };
+  if (!config.clientId || !config.clientSecret || !config.redirectUri) {
+    throw new Error(`A client ID, client secret and redirect URI (GSC_OAUTH_CLIENT_ID, GSC_OAUTH_CLIENT_SECRET, GSC_OAUTH_REDIRECT_URI) are required for the OAuth flow of profile "${profile}".`);
+  }
+  return new google.auth.OAuth2({
+    clientId: config.clientId,
+    clientSecret: config.clientSecret,
+    redirectUri: config.redirectUri,
+    endpoints: oauthEndpoints(),
+  });
+}
+
+/**
+ * Starts the consent flow for a credential profile.
+ * Consent is always prompted so Google issues a fresh refresh token even if the app was authorized before.
+ * @param {string} [profile='default'] The credential profile the resulting token is stored under.
+ * @returns {{url: string, state: string}} The Google consent URL to redirect to, and its anti-CSRF state.
+ */
+function startAuthorization(profile = DEFAULT_PROFILE) {
+  if (!PROFILE_NAME_PATTERN.test(profile)) {
+    throw new Error(`Invalid profile name "${profile}": use letters, digits, '_' or '-'.`);
+  }
+  const now = Date.now();
+  for (const [state, pending] of pendingStates) {
+    if (pending.expiresAt <= now) pendingStates.delete(state);
+  }
+
+  const state = crypto.randomBytes(24).toString('hex');
+  const url = createOAuthClient(profile).generateAuthUrl({
+    access_type: 'offline',
+    prompt: 'consent',
+    scope: GSC_OAUTH_SCOPES,
+    state,
+  });
+  pendingStates.set(state, { profile, expiresAt: now + STATE_TTL_MS });
+  return { url, state };
+}
+
+/**
+ * Completes the consent flow: validates the state, exchanges the code and stores the refresh token
+ * under the profile the flow was started for.
+ * @param {string} code The authorization code from the callback query string.
+ * @param {string} state The state from the callback query string.
+ * @returns {Promise<{profile: string, refreshToken: string, scope: string, obtainedAt: string}>} The stored credentials.
+ * @throws {Error} If the state is unknown or expired, or Google returned no refresh token.
+ */
+async function completeAuthorization(code, state) {
+  const pending = pendingStates.get(state);
+  pendingStates.delete(state);
+  if (!pending || pending.expiresAt <= Date.now()) {
+    throw new Error("Unknown or expired OAuth state. Start the flow again from /oauth/start.");
+  }
+  if (!code) throw new Error("code parameter is required to complete the OAuth flow.");
+
+  const { profile } = pending;
+  const { tokens } = await createOAuthClient(profile).getToken(code);
+  if (!tokens.refresh_token) {
+    throw new Error("Google did not return a refresh token. Revoke the app's access at https://myaccount.google.com/permissions and try again.");
+  }
+  const record = saveCredentials({ profile, refreshToken: tokens.refresh_token, scope: tokens.scope });
+  return { profile, ...record };
+}
+
+// --- Module Exports ---
+module.exports = {
+  GSC_OAUTH_SCOPES,
+  startAuthorization,
+  completeAuthorization,
+};
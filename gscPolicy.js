@@ -0,0 +1,134 @@
+/**
+ * gscPolicy.js
+ *
+ * Safety policy for the GSC operations that modify a property (addSite, deleteSite,
+ * submitSitemap, deleteSitemap):
+ *
+ * - GSC_READ_ONLY=true rejects every write.
+ * - GSC_WRITE_ALLOWLIST (comma-separated siteUrls) limits writes to the listed properties.
+ * - Unless GSC_REQUIRE_CONFIRMATION=false, a write first returns a dry-run preview with a
+ *   single-use confirmation token, and only runs when called again with that token.
+ * - Every attempt (previewed, denied, succeeded or failed) is appended to the audit log
+ *   (GSC_AUDIT_LOG, JSON lines).
+ */
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const { GscPermissionError, GscValidationError } = require('./gscErrors.js');
+
+const AUDIT_LOG_FILE = process.env.GSC_AUDIT_LOG || path.join(__dirname, '.gsc-audit.jsonl');
+const CONFIRMATION_TTL_MS = 5 * 60 * 1000; // How long a preview's token stays valid
+
+// Outstanding confirmation tokens issued by previews (token -> { binding, expiresAt }).
+const pendingConfirmations = new Map();
+
+/**
+ * Reads the policy settings from the environment (on every call, so they can be changed in tests and at runtime).
+ * @returns {{readOnly: boolean, allowlist: (Array<string>|null), requireConfirmation: boolean}}
+ */
+function getWritePolicy() {
+  const { GSC_READ_ONLY, GSC_WRITE_ALLOWLIST, GSC_REQUIRE_CONFIRMATION } = process.env;
+  return {
+    readOnly: GSC_READ_ONLY === 'true',
+    allowlist: GSC_WRITE_ALLOWLIST ? GSC_WRITE_ALLOWLIST.split(',').map((site) => site.trim()).filter(Boolean) : null,
+    requireConfirmation: GSC_REQUIRE_CONFIRMATION !== 'false',
+  };
+}
+
+/**
+ * Rejects a write that read-only mode or the allowlist forbids.
+ * @param {string} operation The write operation.
+ * @param {string} siteUrl The property it would modify.
+ * @throws {GscPermissionError} With reason 'readOnlyMode' or 'siteNotAllowlisted'.
+ */
+function checkWritePolicy(operation, siteUrl) {
+  const policy = getWritePolicy();
+  if (policy.readOnly) {
+    throw new GscPermissionError(`"${operation}" is disabled: the GSC service is in read-only mode (GSC_READ_ONLY).`, {
+      operation,
+      reasons: ['readOnlyMode'],
+    });
+  }
+  if (policy.allowlist && !policy.allowlist.includes(siteUrl)) {
+    throw new GscPermissionError(`"${operation}" is not allowed for "${siteUrl}": the site is not in GSC_WRITE_ALLOWLIST.`, {
+      operation,
+      reasons: ['siteNotAllowlisted'],
+    });
+  }
+}
+
+/**
+ * Serializes what a confirmation token authorizes, so it cannot be replayed for another operation or site.
+ * @param {string} operation The write operation.
+ * @param {Object} args Its arguments.
+ * @returns {string}
+ */
+function bindingFor(operation, args) {
+  const sortedArgs = Object.keys(args).sort().map((key) => [key, args[key] === undefined ? null : args[key]]);
+  return JSON.stringify([operation, sortedArgs]);
+}
+
+/**
+ * Issues a single-use token that confirms exactly this operation with exactly these arguments.
+ * @param {string} operation The write operation.
+ * @param {Object} args Its arguments (including the profile, if one was given).
+ * @returns {{token: string, expiresAt: string}}
+ */
+function issueConfirmation(operation, args) {
+  const now = Date.now();
+  for (const [token, pending] of pendingConfirmations) {
+    if (pending.expiresAt <= now) pendingConfirmations.delete(token);
+  }
+  const token = crypto.randomBytes(12).toString('hex');
+  const expiresAt = now + CONFIRMATION_TTL_MS;
+  pendingConfirmations.set(token, { binding: bindingFor(operation, args), expiresAt });
+  return { token, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Redeems a confirmation token. A token is consumed even when it does not match, so guesses cannot be retried.
+ * @param {string} token The token from the preview.
+ * @param {string} operation The write operation being confirmed.
+ * @param {Object} args Its arguments, which must equal the previewed ones.
+ * @throws {GscValidationError} If the token is unknown, expired, or was issued for a different operation or arguments.
+ */
+function consumeConfirmation(token, operation, args) {
+  const pending = pendingConfirmations.get(token);
+  pendingConfirmations.delete(token);
+  if (!pending || pending.expiresAt <= Date.now()) {
+    throw new GscValidationError(`Unknown or expired confirmation token for "${operation}". Call it without confirm to get a new preview.`, {
+      operation,
+      reasons: ['invalidConfirmation'],
+    });
+  }
+  if (pending.binding !== bindingFor(operation, args)) {
+    throw new GscValidationError(`The confirmation token was issued for a different operation or arguments than "${operation}" ${JSON.stringify(args)}.`, {
+      operation,
+      reasons: ['invalidConfirmation'],
+    });
+  }
+}
+
+/**
+ * Appends one entry to the audit log. The log is only ever appended to; failures to write it are
+ * logged but do not fail the operation.
+ * @param {{operation: string, args: Object, outcome: string, error: (string|undefined)}} entry
+ */
+function recordAudit(entry) {
+  const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry });
+  try {
+    fs.appendFileSync(AUDIT_LOG_FILE, `${line}\n`, { mode: 0o600 });
+  } catch (e) {
+    console.error(`gscPolicy: Could not write to the audit log ${AUDIT_LOG_FILE}: ${e.message}. Entry: ${line}`);
+  }
+}
+
+// --- Module Exports ---
+module.exports = {
+  AUDIT_LOG_FILE,
+  checkWritePolicy,
+  consumeConfirmation,
+  getWritePolicy,
+  issueConfirmation,
+  recordAudit,
+};
@@ -0,0 +1,101 @@
+/**
+ * gscProfiles.js
+ *
+ * Named GSC credential profiles, so one process can work with properties across several
+ * Google accounts. Profiles come from GSC_PROFILES_FILE (path to a JSON file) or GSC_PROFILES
+ * (inline JSON), shaped like:
+ *
+ *   {
+ *     "acme": { "refreshToken": "...", "sites": ["sc-domain:acme.com"] },
+ *     "globex": { "clientId": "...", "clientSecret": "...", "redirectUri": "..." }
+ *   }
+ *
+ * clientId/clientSecret/redirectUri default to the GSC_OAUTH_* environment variables, and the
+ * refresh token may instead be minted into the credential store via /oauth/start?profile=<name>.
+ * The legacy GSC_OAUTH_* variables always define the "default" profile unless the config overrides it.
+ */
+const fs = require('node:fs');
+
+const DEFAULT_PROFILE = 'default';
+const PROFILE_NAME_PATTERN = /^[\w-]+$/;
+
+/**
+ * Reads the raw profile definitions from GSC_PROFILES_FILE or GSC_PROFILES.
+ * @param {Object} env The environment to read.
+ * @returns {Object} Profile name -> definition.
+ * @throws {Error} If the configuration is not valid JSON or not an object.
+ */
+function readProfileDefinitions(env) {
+  const { GSC_PROFILES_FILE, GSC_PROFILES } = env;
+  let raw;
+  let source;
+  if (GSC_PROFILES_FILE) {
+    raw = fs.readFileSync(GSC_PROFILES_FILE, 'utf8');
+    source = GSC_PROFILES_FILE;
+  } else if (GSC_PROFILES) {
+    raw = GSC_PROFILES;
+    source = 'GSC_PROFILES';
+  } else {
+    return {};
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`Invalid JSON in ${source}: ${e.message}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`${source} must contain an object mapping profile names to credentials.`);
+  }
+  return parsed;
+}
+
+/**
+ * Endpoint overrides for the OAuth2 clients built from these profiles. GSC_OAUTH_TOKEN_URL replaces
+ * Google's token endpoint, e.g. with the offline stand-in in test/fakeGscServer.js.
+ * @param {Object} [env=process.env] The environment to read.
+ * @returns {Object} The `endpoints` option for google.auth.OAuth2.
+ */
+function oauthEndpoints(env = process.env) {
+  return env.GSC_OAUTH_TOKEN_URL ? { oauth2TokenUrl: env.GSC_OAUTH_TOKEN_URL } : {};
+}
+
+/**
+ * Loads every configured profile, filling in defaults from the GSC_OAUTH_* environment variables.
+ * @param {Object} [env=process.env] The environment to read.
+ * @returns {Map<string, {name: string, clientId: string, clientSecret: string, redirectUri: string, refreshToken: string, sites: Array<string>}>}
+ * @throws {Error} If a profile name is invalid or the configuration cannot be parsed.
+ */
+function loadProfileConfigs(env = process.env) {
+  const definitions = readProfileDefinitions(env);
+  const configs = new Map();
+
+  const withDefaults = (name, definition) => ({
+    name,
+    clientId: definition.clientId || env.GSC_OAUTH_CLIENT_ID,
+    clientSecret: definition.clientSecret || env.GSC_OAUTH_CLIENT_SECRET,
+    redirectUri: definition.redirectUri || env.GSC_OAUTH_REDIRECT_URI,
+    refreshToken: definition.refreshToken,
+    sites: Array.isArray(definition.sites) ? definition.sites : [],
+  });
+
+  if (!definitions[DEFAULT_PROFILE] && env.GSC_OAUTH_CLIENT_ID) {
+    configs.set(DEFAULT_PROFILE, withDefaults(DEFAULT_PROFILE, { refreshToken: env.GSC_OAUTH_REFRESH_TOKEN }));
+  }
+  for (const [name, definition] of Object.entries(definitions)) {
+    if (!PROFILE_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid GSC profile name "${name}": use letters, digits, '_' or '-'.`);
+    }
+    configs.set(name, withDefaults(name, definition || {}));
+  }
+  return configs;
+}
+
+// --- Module Exports ---
+module.exports = {
+  DEFAULT_PROFILE,
+  PROFILE_NAME_PATTERN,
+  loadProfileConfigs,
+  oauthEndpoints,
+};
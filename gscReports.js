@@ -0,0 +1,456 @@
+/**
+ * gscReports.js
+ *
+ * Higher-level reports built on top of gscService.js. These combine several
+ * queryAnalytics calls and post-process the rows so callers don't have to join
+ * and rank results by hand: period comparisons, and analyses of query+page rows
+ * (cannibalization, CTR opportunities, striking-distance keywords).
+ */
+const gscService = require('./gscService.js');
+const { GscValidationError } = require('./gscErrors.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// --- Helpers ---
+
+/**
+ * Returns the date range of equal length immediately preceding the given one.
+ * @param {string} startDate Start date in YYYY-MM-DD format.
+ * @param {string} endDate End date in YYYY-MM-DD format.
+ * @returns {{startDate: string, endDate: string}} The previous period.
+ */
+function previousPeriod(startDate, endDate) {
+  const start = Date.parse(`${startDate}T00:00:00Z`);
+  const end = Date.parse(`${endDate}T00:00:00Z`);
+  if (Number.isNaN(start) || Number.isNaN(end) || end < start) {
+    throw new GscValidationError(`Invalid date range ${startDate}..${endDate}.`);
+  }
+  const lengthMs = end - start + DAY_MS;
+  const toDate = (ms) => new Date(ms).toISOString().slice(0, 10);
+  return { startDate: toDate(start - lengthMs), endDate: toDate(start - DAY_MS) };
+}
+
+/**
+ * Computes clicks/impressions/CTR/position totals for a set of rows.
+ * Position is averaged weighted by impressions, matching how GSC reports it.
+ * @param {Array<Object>} rows Search analytics rows.
+ * @returns {{clicks: number, impressions: number, ctr: number, position: number}}
+ */
+function summarizeRows(rows) {
+  let clicks = 0;
+  let impressions = 0;
+  let weightedPosition = 0;
+  for (const row of rows) {
+    clicks += row.clicks;
+    impressions += row.impressions;
+    weightedPosition += row.position * row.impressions;
+  }
+  return {
+    clicks,
+    impressions,
+    ctr: impressions > 0 ? clicks / impressions : 0,
+    position: impressions > 0 ? weightedPosition / impressions : 0,
+  };
+}
+
+/**
+ * Computes absolute and percent changes between two metric sets.
+ * A percent change is null when the previous value is zero or missing.
+ * @param {Object|null} current Current-period metrics.
+ * @param {Object|null} previous Previous-period metrics.
+ * @returns {{delta: Object, percentChange: Object}}
+ */
+function diffMetrics(current, previous) {
+  const delta = {};
+  const percentChange = {};
+  for (const metric of ['clicks', 'impressions', 'ctr', 'position']) {
+    const cur = current ? current[metric] : 0;
+    const prev = previous ? previous[metric] : 0;
+    delta[metric] = cur - prev;
+    percentChange[metric] = prev ? ((cur - prev) / prev) * 100 : null;
+  }
+  return { delta, percentChange };
+}
+
+/**
+ * Picks the reported metrics out of a search analytics row.
+ * @param {Object} row A search analytics row.
+ * @returns {{clicks: number, impressions: number, ctr: number, position: number}}
+ */
+function pickMetrics(row) {
+  return { clicks: row.clicks, impressions: row.impressions, ctr: row.ctr, position: row.position };
+}
+
+// --- Period Comparison ---
+
+/**
+ * Compares search analytics between two date ranges, joining rows on their dimension keys.
+ * Deltas are current minus previous; for position a negative delta is an improvement.
+ * @param {string} siteUrl The URL of the site.
+ * @param {Array<string>} dimensions Array of dimensions to join on (e.g., ['query'] or ['query', 'page']).
+ * @param {{startDate: string, endDate: string}} currentRange The period under review.
+ * @param {{startDate: string, endDate: string}} [previousRange] The baseline period. Defaults to the
+ *   equally long period immediately before currentRange.
+ * @param {Object} [options] Optional parameters.
+ * @param {Array<Object>} [options.dimensionFilterGroups] Filter groups applied to both periods.
+ * @param {string} [options.filter] Filter expression applied to both periods (see gscFilterExpression.js).
+ * @param {string} [options.type='web'] Type of search.
+ * @param {number} [options.minImpressions=10] Rows below this many impressions in both periods are left out of the ranked lists.
+ * @param {number} [options.limit=25] Maximum entries per ranked list.
+ * @param {string} [options.rankBy='clicks'] Metric used to rank the lists ('clicks' or 'impressions').
+ * @param {number} [options.maxRows] Row ceiling per period (all rows are fetched by default).
+ * @param {boolean} [options.includeRows=false] Also return every joined row.
+ * @param {string} [options.profile] Credential profile to use (routed by siteUrl by default).
+ * @returns {Promise<Object>} Totals (over the returned rows) with deltas, plus gainers, losers, newEntries and lostEntries.
+ */
+async function comparePeriods(siteUrl, dimensions, currentRange, previousRange, options = {}) {
+  if (!siteUrl || !dimensions || dimensions.length === 0 || !currentRange) {
+    throw new GscValidationError("siteUrl, dimensions, and currentRange are required for comparePeriods.");
+  }
+  if (!currentRange.startDate || !currentRange.endDate) {
+    throw new GscValidationError("currentRange must have startDate and endDate for comparePeriods.");
+  }
+  const baseline = previousRange || previousPeriod(currentRange.startDate, currentRange.endDate);
+
+  const {
+    dimensionFilterGroups,
+    filter,
+    type = 'web',
+    minImpressions = 10,
+    limit = 25,
+    rankBy = 'clicks',
+    maxRows,
+    includeRows = false,
+    profile,
+  } = options;
+  if (rankBy !== 'clicks' && rankBy !== 'impressions') {
+    throw new GscValidationError(`rankBy must be 'clicks' or 'impressions' for comparePeriods, got "${rankBy}".`);
+  }
+
+  const queryOptions = { dimensionFilterGroups, filter, type, fetchAll: true, maxRows, profile };
+  const [current, previous] = await Promise.all([
+    gscService.queryAnalytics(siteUrl, currentRange.startDate, currentRange.endDate, dimensions, queryOptions),
+    gscService.queryAnalytics(siteUrl, baseline.startDate, baseline.endDate, dimensions, queryOptions),
+  ]);
+
+  // Join both periods on the dimension keys.
+  const joined = new Map();
+  for (const row of current.rows) {
+    joined.set(JSON.stringify(row.keys), { keys: row.keys, current: pickMetrics(row), previous: null });
+  }
+  for (const row of previous.rows) {
+    const key = JSON.stringify(row.keys);
+    const entry = joined.get(key);
+    if (entry) {
+      entry.previous = pickMetrics(row);
+    } else {
+      joined.set(key, { keys: row.keys, current: null, previous: pickMetrics(row) });
+    }
+  }
+
+  const gainers = [];
+  const losers = [];
+  const newEntries = [];
+  const lostEntries = [];
+  const rows = [];
+  for (const entry of joined.values()) {
+    Object.assign(entry, diffMetrics(entry.current, entry.previous));
+    if (includeRows) rows.push(entry);
+
+    const peakImpressions = Math.max(
+      entry.current ? entry.current.impressions : 0,
+      entry.previous ? entry.previous.impressions : 0
+    );
+    if (peakImpressions < minImpressions) continue;
+
+    if (!entry.previous) newEntries.push(entry);
+    else if (!entry.current) lostEntries.push(entry);
+    else if (entry.delta[rankBy] > 0) gainers.push(entry);
+    else if (entry.delta[rankBy] < 0) losers.push(entry);
+  }
+
+  gainers.sort((a, b) => b.delta[rankBy] - a.delta[rankBy]);
+  losers.sort((a, b) => a.delta[rankBy] - b.delta[rankBy]);
+  newEntries.sort((a, b) => b.current[rankBy] - a.current[rankBy]);
+  lostEntries.sort((a, b) => b.previous[rankBy] - a.previous[rankBy]);
+
+  const currentTotals = summarizeRows(current.rows);
+  const previousTotals = summarizeRows(previous.rows);
+
+  const report = {
+    siteUrl,
+    dimensions,
+    currentRange: { startDate: currentRange.startDate, endDate: currentRange.endDate },
+    previousRange: { startDate: baseline.startDate, endDate: baseline.endDate },
+    rankBy,
+    minImpressions,
+    totals: {
+      current: currentTotals,
+      previous: previousTotals,
+      ...diffMetrics(currentTotals, previousTotals),
+    },
+    rowCounts: { current: current.rowCount, previous: previous.rowCount, joined: joined.size },
+    truncated: current.truncated || previous.truncated,
+    gainers: gainers.slice(0, limit),
+    losers: losers.slice(0, limit),
+    newEntries: newEntries.slice(0, limit),
+    lostEntries: lostEntries.slice(0, limit),
+  };
+  if (includeRows) report.rows = rows;
+  return report;
+}
+
+// --- Query + Page Analyses ---
+
+// Expected organic CTR by position (index 0 = position 1), from public click-through studies of
+// Google results. Only a yardstick: real CTR also depends on the query's intent and SERP features.
+const DEFAULT_CTR_CURVE = [
+  0.28, 0.16, 0.11, 0.08, 0.065, 0.05, 0.04, 0.032, 0.027, 0.023,
+  0.018, 0.016, 0.014, 0.012, 0.011, 0.01, 0.009, 0.008, 0.007, 0.006,
+];
+
+/**
+ * Looks up the expected CTR for a (fractional) average position, interpolating between whole positions.
+ * @param {Array<number>} curve Expected CTR by position, index 0 = position 1.
+ * @param {number} position The average position.
+ * @returns {number|null} Null beyond the end of the curve.
+ */
+function expectedCtrAt(curve, position) {
+  if (position > curve.length) return null;
+  const index = Math.max(0, position - 1);
+  const lower = Math.floor(index);
+  if (lower >= curve.length - 1) return curve[curve.length - 1];
+  return curve[lower] + (curve[lower + 1] - curve[lower]) * (index - lower);
+}
+
+/**
+ * @param {number} ratio A fraction such as a CTR or share.
+ * @returns {string} e.g. '12.3%'.
+ */
+function formatPercent(ratio) {
+  return `${(ratio * 100).toFixed(1)}%`;
+}
+
+/**
+ * @param {number} count
+ * @returns {string} e.g. '12,345'.
+ */
+function formatCount(count) {
+  return Math.round(count).toLocaleString('en-US');
+}
+
+/**
+ * Fetches every query+page row for a date range, shared by the analyses below.
+ * Anonymized queries are never returned with the query dimension, so they are not analyzed.
+ * @param {string} operation The calling analysis, for error messages.
+ * @param {string} siteUrl The URL of the site.
+ * @param {string} startDate Start date in YYYY-MM-DD format.
+ * @param {string} endDate End date in YYYY-MM-DD format.
+ * @param {Object} options The analysis options (filter, dimensionFilterGroups, type, maxRows, profile).
+ * @returns {Promise<{rows: Array<Object>, rowCount: number, truncated: boolean}>}
+ */
+async function fetchQueryPageRows(operation, siteUrl, startDate, endDate, options) {
+  if (!siteUrl || !startDate || !endDate) {
+    throw new GscValidationError(`siteUrl, startDate, and endDate are required for ${operation}.`);
+  }
+  const { dimensionFilterGroups, filter, type = 'web', maxRows, profile } = options;
+  return gscService.queryAnalytics(siteUrl, startDate, endDate, ['query', 'page'], {
+    dimensionFilterGroups,
+    filter,
+    type,
+    fetchAll: true,
+    maxRows,
+    profile,
+  });
+}
+
+/**
+ * Finds queries for which several of the site's pages compete, splitting the impressions between them.
+ * Each query is scored by the impressions its top page does not get, so queries with a dominant page rank low.
+ * @param {string} siteUrl The URL of the site.
+ * @param {string} startDate Start date in YYYY-MM-DD format.
+ * @param {string} endDate End date in YYYY-MM-DD format.
+ * @param {Object} [options] Optional parameters.
+ * @param {number} [options.minImpressions=100] Queries with fewer impressions (over all pages) are skipped.
+ * @param {number} [options.minShare=0.1] A page competes when it gets at least this share of the query's impressions.
+ * @param {number} [options.limit=25] Maximum queries to return.
+ * @param {Array<Object>} [options.dimensionFilterGroups] Filter groups applied to the query.
+ * @param {string} [options.filter] Filter expression (see gscFilterExpression.js).
+ * @param {string} [options.type='web'] Type of search.
+ * @param {number} [options.maxRows] Row ceiling (all rows are fetched by default).
+ * @param {string} [options.profile] Credential profile to use (routed by siteUrl by default).
+ * @returns {Promise<Object>} The criteria used and the ranked queries, each with its competing pages and a reason.
+ */
+async function findCannibalization(siteUrl, startDate, endDate, options = {}) {
+  const { minImpressions = 100, minShare = 0.1, limit = 25 } = options;
+  const result = await fetchQueryPageRows('findCannibalization', siteUrl, startDate, endDate, options);
+
+  const rowsByQuery = new Map();
+  for (const row of result.rows) {
+    const [query, page] = row.keys;
+    if (!rowsByQuery.has(query)) rowsByQuery.set(query, []);
+    rowsByQuery.get(query).push({ page, ...pickMetrics(row) });
+  }
+
+  const queries = [];
+  for (const [query, pageRows] of rowsByQuery) {
+    const totals = summarizeRows(pageRows);
+    if (pageRows.length < 2 || totals.impressions < minImpressions) continue;
+
+    const pages = pageRows
+      .map((row) => ({ ...row, share: row.impressions / totals.impressions }))
+      .sort((a, b) => b.impressions - a.impressions);
+    const competing = pages.filter((row) => row.share >= minShare);
+    if (competing.length < 2) continue;
+
+    const [top, ...others] = competing;
+    const positions = others.map((row) => row.position);
+    const othersRank = others.length === 1
+      ? `the other ranks at ${positions[0].toFixed(1)}`
+      : `the others rank at ${Math.min(...positions).toFixed(1)}–${Math.max(...positions).toFixed(1)}`;
+    queries.push({
+      query,
+      ...totals,
+      competingPages: competing.length,
+      score: totals.impressions * (1 - top.share),
+      reason: `${competing.length} pages each get at least ${formatPercent(minShare)} of ${formatCount(totals.impressions)} impressions: `
+        + `the top page gets ${formatPercent(top.share)} at position ${top.position.toFixed(1)}, ${othersRank}.`,
+      pages,
+    });
+  }
+  queries.sort((a, b) => b.score - a.score);
+
+  return {
+    siteUrl,
+    startDate,
+    endDate,
+    criteria: { minImpressions, minShare },
+    rowCount: result.rowCount,
+    truncated: result.truncated,
+    matches: queries.length,
+    queries: queries.slice(0, limit),
+  };
+}
+
+/**
+ * Finds query+page rows whose CTR falls well below what their average position would predict.
+ * Rows are ranked by the clicks missed compared with the expected CTR.
+ * @param {string} siteUrl The URL of the site.
+ * @param {string} startDate Start date in YYYY-MM-DD format.
+ * @param {string} endDate End date in YYYY-MM-DD format.
+ * @param {Object} [options] Optional parameters.
+ * @param {number} [options.minImpressions=100] Rows with fewer impressions are skipped.
+ * @param {number} [options.maxCtrRatio=0.5] A row qualifies when its CTR is below this fraction of the expected CTR.
+ * @param {Array<number>} [options.ctrCurve] Expected CTR by position (index 0 = position 1); rows ranked beyond
+ *   its end are skipped. Defaults to a curve for positions 1-20.
+ * @param {number} [options.limit=25] Maximum rows to return.
+ * @param {Array<Object>} [options.dimensionFilterGroups] Filter groups applied to the query.
+ * @param {string} [options.filter] Filter expression (see gscFilterExpression.js).
+ * @param {string} [options.type='web'] Type of search.
+ * @param {number} [options.maxRows] Row ceiling (all rows are fetched by default).
+ * @param {string} [options.profile] Credential profile to use (routed by siteUrl by default).
+ * @returns {Promise<Object>} The criteria used and the ranked opportunities, each with a reason.
+ */
+async function findCtrOpportunities(siteUrl, startDate, endDate, options = {}) {
+  const { minImpressions = 100, maxCtrRatio = 0.5, ctrCurve = DEFAULT_CTR_CURVE, limit = 25 } = options;
+  if (!Array.isArray(ctrCurve) || ctrCurve.length === 0 || ctrCurve.some((ctr) => typeof ctr !== 'number' || ctr < 0 || ctr > 1)) {
+    throw new GscValidationError("ctrCurve must be a non-empty array of CTRs between 0 and 1 for findCtrOpportunities.");
+  }
+  const result = await fetchQueryPageRows('findCtrOpportunities', siteUrl, startDate, endDate, options);
+
+  const opportunities = [];
+  for (const row of result.rows) {
+    if (row.impressions < minImpressions) continue;
+    const expectedCtr = expectedCtrAt(ctrCurve, row.position);
+    if (!expectedCtr || row.ctr >= expectedCtr * maxCtrRatio) continue;
+
+    const missedClicks = row.impressions * expectedCtr - row.clicks;
+    opportunities.push({
+      query: row.keys[0],
+      page: row.keys[1],
+      ...pickMetrics(row),
+      expectedCtr,
+      ctrRatio: row.ctr / expectedCtr,
+      missedClicks,
+      reason: `CTR ${formatPercent(row.ctr)} at position ${row.position.toFixed(1)} is ${formatPercent(row.ctr / expectedCtr)} `
+        + `of the ${formatPercent(expectedCtr)} expected there; at the expected CTR its ${formatCount(row.impressions)} `
+        + `impressions would bring about ${formatCount(missedClicks)} more clicks.`,
+    });
+  }
+  opportunities.sort((a, b) => b.missedClicks - a.missedClicks);
+
+  return {
+    siteUrl,
+    startDate,
+    endDate,
+    criteria: { minImpressions, maxCtrRatio, ctrCurve: options.ctrCurve ? ctrCurve : 'default' },
+    rowCount: result.rowCount,
+    truncated: result.truncated,
+    matches: opportunities.length,
+    opportunities: opportunities.slice(0, limit),
+  };
+}
+
+/**
+ * Finds "striking distance" keywords: query+page rows ranking just off the top results (positions 8-20
+ * by default) with enough impressions that moving up would pay off. Rows are ranked by the extra clicks
+ * reaching the target position would bring at the expected CTR.
+ * @param {string} siteUrl The URL of the site.
+ * @param {string} startDate Start date in YYYY-MM-DD format.
+ * @param {string} endDate End date in YYYY-MM-DD format.
+ * @param {Object} [options] Optional parameters.
+ * @param {number} [options.minPosition=8] Best average position included.
+ * @param {number} [options.maxPosition=20] Worst average position included.
+ * @param {number} [options.minImpressions=100] Rows with fewer impressions are skipped.
+ * @param {number} [options.targetPosition=3] Position used to estimate the upside.
+ * @param {number} [options.limit=25] Maximum rows to return.
+ * @param {Array<Object>} [options.dimensionFilterGroups] Filter groups applied to the query.
+ * @param {string} [options.filter] Filter expression (see gscFilterExpression.js).
+ * @param {string} [options.type='web'] Type of search.
+ * @param {number} [options.maxRows] Row ceiling (all rows are fetched by default).
+ * @param {string} [options.profile] Credential profile to use (routed by siteUrl by default).
+ * @returns {Promise<Object>} The criteria used and the ranked keywords, each with a reason.
+ */
+async function findStrikingDistance(siteUrl, startDate, endDate, options = {}) {
+  const { minPosition = 8, maxPosition = 20, minImpressions = 100, targetPosition = 3, limit = 25 } = options;
+  if (minPosition > maxPosition) {
+    throw new GscValidationError(`minPosition (${minPosition}) must not be greater than maxPosition (${maxPosition}) for findStrikingDistance.`);
+  }
+  const result = await fetchQueryPageRows('findStrikingDistance', siteUrl, startDate, endDate, options);
+  const targetCtr = expectedCtrAt(DEFAULT_CTR_CURVE, targetPosition) || 0;
+
+  const keywords = [];
+  for (const row of result.rows) {
+    if (row.position < minPosition || row.position > maxPosition || row.impressions < minImpressions) continue;
+    const potentialClicks = Math.max(0, row.impressions * targetCtr - row.clicks);
+    keywords.push({
+      query: row.keys[0],
+      page: row.keys[1],
+      ...pickMetrics(row),
+      potentialClicks,
+      reason: `Ranks at ${row.position.toFixed(1)} with ${formatCount(row.impressions)} impressions; at position ${targetPosition} `
+        + `(about ${formatPercent(targetCtr)} CTR) it would bring about ${formatCount(potentialClicks)} more clicks.`,
+    });
+  }
+  keywords.sort((a, b) => b.potentialClicks - a.potentialClicks || b.impressions - a.impressions);
+
+  return {
+    siteUrl,
+    startDate,
+    endDate,
+    criteria: { minPosition, maxPosition, minImpressions, targetPosition },
+    rowCount: result.rowCount,
+    truncated: result.truncated,
+    matches: keywords.length,
+    keywords: keywords.slice(0, limit),
+  };
+}
+
+// --- Module Exports ---
+module.exports = {
+  comparePeriods,
+  findCannibalization,
+  findCtrOpportunities,
+  findStrikingDistance,
+  previousPeriod,
+};
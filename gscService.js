@@ -2,220 +2,798 @@
  * gscService.js
  * 
  * This module provides functions to interact with the Google Search Console API
- * using OAuth2 authentication.
+ * using OAuth2 authentication, optionally across several credential profiles (Google accounts).
  */
 const { google } = require('googleapis');
-const searchconsole = google.searchconsole('v1');
+const { GscAuthError, GscPermissionError, GscQuotaError, GscValidationError, toGscError, withRetry } = require('./gscErrors.js');
+const { createResponseCache } = require('./gscCache.js');
+const { compileFilter } = require('./gscFilterExpression.js');
+const metrics = require('./gscMetrics.js');
+const { getStoredCredentials, listStoredProfiles } = require('./gscCredentialStore.js');
+const { DEFAULT_PROFILE, loadProfileConfigs, oauthEndpoints } = require('./gscProfiles.js');
+const { checkWritePolicy, consumeConfirmation, getWritePolicy, issueConfirmation, recordAudit } = require('./gscPolicy.js');
+// GSC_API_ROOT_URL replaces https://searchconsole.googleapis.com/, e.g. with the offline stand-in in test/fakeGscServer.js.
+const searchconsole = google.searchconsole({ version: 'v1', rootUrl: process.env.GSC_API_ROOT_URL });
 
 // --- Configuration & Authentication Setup ---
 
 const GSC_OAUTH_CLIENT_ID = process.env.GSC_OAUTH_CLIENT_ID;
 const GSC_OAUTH_CLIENT_SECRET = process.env.GSC_OAUTH_CLIENT_SECRET;
-const GSC_OAUTH_REFRESH_TOKEN = process.env.GSC_OAUTH_REFRESH_TOKEN;
 const GSC_OAUTH_REDIRECT_URI = process.env.GSC_OAUTH_REDIRECT_URI; // e.g., 'http://localhost' or your app's deployed callback
 
-let oauth2Client;
-let isAuthInitialized = false;
+// Credential profiles (see gscProfiles.js); the GSC_OAUTH_* variables define the "default" profile.
+// Each profile gets its own OAuth2 client, which is passed with every request rather than installed
+// globally via google.options(), so properties from several Google accounts can be used side by side.
+const profileConfigs = loadProfileConfigs();
 
-if (GSC_OAUTH_CLIENT_ID && GSC_OAUTH_CLIENT_SECRET && GSC_OAUTH_REFRESH_TOKEN && GSC_OAUTH_REDIRECT_URI) {
-  oauth2Client = new google.auth.OAuth2(
-    GSC_OAUTH_CLIENT_ID,
-    GSC_OAUTH_CLIENT_SECRET,
-    GSC_OAUTH_REDIRECT_URI
-  );
+// Per-profile OAuth2 clients: profile name -> { client, activeRefreshToken }
+const authClients = new Map();
 
-  oauth2Client.setCredentials({
-    refresh_token: GSC_OAUTH_REFRESH_TOKEN,
-  });
+// siteUrl -> name of the profile that owns it. Seeded from each profile's `sites` setting and
+// learned from listSites across all profiles.
+const siteRoutes = new Map();
+for (const config of profileConfigs.values()) {
+  for (const site of config.sites) siteRoutes.set(site, config.name);
+}
+
+/**
+ * Lists every known profile: those configured, plus any minted only into the credential store
+ * via /oauth/start?profile=<name> (which use the GSC_OAUTH_* client settings).
+ * @returns {Array<string>} Profile names, "default" first.
+ */
+function listProfiles() {
+  const names = new Set([...profileConfigs.keys(), ...listStoredProfiles()]);
+  return [...names].sort((a, b) => (a === DEFAULT_PROFILE ? -1 : b === DEFAULT_PROFILE ? 1 : a.localeCompare(b)));
+}
+
+/**
+ * Returns the OAuth2 client for a profile, picking up a token minted by the /oauth/callback flow
+ * (see gscCredentialStore.js) as soon as it is written. A stored token takes precedence over a
+ * configured one (GSC_OAUTH_REFRESH_TOKEN for the default profile), since it is the most recently authorized.
+ * @param {string} profile The credential profile.
+ * @returns {OAuth2Client|null} Null when the profile lacks client settings or a refresh token.
+ */
+function getAuthClient(profile) {
+  const config = profileConfigs.get(profile) || {
+    clientId: GSC_OAUTH_CLIENT_ID,
+    clientSecret: GSC_OAUTH_CLIENT_SECRET,
+    redirectUri: GSC_OAUTH_REDIRECT_URI,
+  };
+  if (!config.clientId || !config.clientSecret || !config.redirectUri) return null;
+
+  const stored = getStoredCredentials(profile);
+  const refreshToken = (stored && stored.refreshToken) || config.refreshToken || null;
+  if (!refreshToken) return null;
+
+  let entry = authClients.get(profile);
+  if (!entry) {
+    const client = new google.auth.OAuth2({
+      clientId: config.clientId,
+      clientSecret: config.clientSecret,
+      redirectUri: config.redirectUri,
+      endpoints: oauthEndpoints(),
+    });
+    entry = { client, activeRefreshToken: null };
+    // Emitted whenever the client mints a new access token from the refresh token.
+    entry.client.on('tokens', () => metrics.recordTokenRefresh(profile, true));
+    authClients.set(profile, entry);
+  }
+  if (entry.activeRefreshToken !== refreshToken) {
+    // Replacing the credentials also drops the cached access token minted from the old refresh token.
+    // The library will automatically use the refresh token to get new access tokens.
+    entry.client.setCredentials({ refresh_token: refreshToken });
+    if (entry.activeRefreshToken) console.log(`gscService: Picked up a rotated refresh token for profile "${profile}".`);
+    entry.activeRefreshToken = refreshToken;
+  }
+  return entry.client;
+}
+
+/**
+ * Reports whether GSC calls can be made, for one profile or for any profile.
+ * @param {string} [profile] The credential profile to check. When omitted, true if any profile is usable.
+ * @returns {boolean}
+ */
+function isAuthInitialized(profile) {
+  if (profile) return Boolean(getAuthClient(profile));
+  return listProfiles().some((name) => getAuthClient(name));
+}
+
+/**
+ * Picks the profile (and its OAuth2 client) to use for a site. An explicit profile wins; otherwise
+ * the site is routed to the profile that owns it, learning ownership from listSites when needed.
+ * @param {string} siteUrl The site the request is for.
+ * @param {string} [profile] Explicitly requested profile.
+ * @returns {Promise<{profile: string, auth: OAuth2Client}>}
+ * @throws {GscAuthError|GscValidationError|GscPermissionError} If no usable profile can serve the site.
+ */
+async function resolveAuth(siteUrl, profile) {
+  if (profile) {
+    if (!listProfiles().includes(profile)) throw new GscValidationError(`Unknown GSC credential profile "${profile}".`);
+    const auth = getAuthClient(profile);
+    if (!auth) throw new GscAuthError(`GSC Service not initialized due to missing OAuth credentials for profile "${profile}".`);
+    return { profile, auth };
+  }
+
+  const usable = listProfiles().filter((name) => getAuthClient(name));
+  if (usable.length === 0) throw new GscAuthError("GSC Service not initialized due to missing OAuth credentials.");
+
+  let routed = siteUrl ? siteRoutes.get(siteUrl) : undefined;
+  if (!routed && usable.length === 1) routed = usable[0];
+  if (!routed && siteUrl) {
+    await listSites(); // Learns which profile owns each property
+    routed = siteRoutes.get(siteUrl);
+  }
+  if (!routed && usable.includes(DEFAULT_PROFILE)) routed = DEFAULT_PROFILE;
+  if (!routed) {
+    throw new GscPermissionError(`No GSC credential profile has access to "${siteUrl}". Pass a profile explicitly (one of: ${usable.join(', ')}).`);
+  }
+  return resolveAuth(siteUrl, routed);
+}
 
-  // Set the auth client globally for all google.searchconsole calls
-  // The library will automatically use the refresh token to get new access tokens.
-  google.options({ auth: oauth2Client });
-  isAuthInitialized = true;
-  console.log("gscService: OAuth2 client initialized successfully.");
+/**
+ * Checks that each profile can obtain an OAuth access token, refreshing it when the cached one has expired.
+ * Used by the /readyz endpoint in my-simple-server.js.
+ * @param {Object} [options] Optional parameters.
+ * @param {string} [options.profile] Only check this credential profile.
+ * @returns {Promise<Array<{profile: string, ok: boolean, expiresAt: (string|undefined), error: (string|undefined)}>>}
+ */
+async function verifyAuth(options = {}) {
+  const profiles = options.profile ? [options.profile] : listProfiles();
+  return Promise.all(profiles.map(async (profile) => {
+    const auth = getAuthClient(profile);
+    if (!auth) return { profile, ok: false, error: 'Missing OAuth client settings or refresh token.' };
+    try {
+      await auth.getAccessToken();
+      const expiryDate = auth.credentials.expiry_date;
+      return { profile, ok: true, expiresAt: expiryDate ? new Date(expiryDate).toISOString() : undefined };
+    } catch (e) {
+      metrics.recordTokenRefresh(profile, false);
+      return { profile, ok: false, error: toGscError(e, 'verifyAuth').message };
+    }
+  }));
+}
 
+if (isAuthInitialized()) {
+  console.log(`gscService: OAuth2 client initialized successfully for profile(s): ${listProfiles().filter((name) => getAuthClient(name)).join(', ')}.`);
+} else if (listProfiles().length > 0) {
+  console.error("gscService: No GSC refresh token found in the configured profiles (GSC_OAUTH_REFRESH_TOKEN, GSC_PROFILES) or the credential store. Authorize via /oauth/start to enable the GSC Service.");
 } else {
-  console.error("gscService: Missing one or more GSC OAuth environment variables (CLIENT_ID, CLIENT_SECRET, REFRESH_TOKEN, REDIRECT_URI). GSC Service will not be available.");
+  console.error("gscService: Missing one or more GSC OAuth environment variables (CLIENT_ID, CLIENT_SECRET, REDIRECT_URI) and no GSC_PROFILES configured. GSC Service will not be available.");
 }
 
 /**
  * Helper function to handle API errors.
  * @param {Error} error The error object from the API call.
  * @param {string} operationName The name of the operation being performed.
- * @throws {Error} Throws a new error with a more descriptive message.
+ * @throws {GscError} Throws a typed error (auth, permission, not-found, quota, validation or transient)
+ *   carrying the HTTP status, API reason codes and operation name, with a descriptive message.
  */
 function handleApiError(error, operationName) {
-  let errorMessage = `Error during GSC operation "${operationName}": ${error.message}`;
-  if (error.response && error.response.data) {
-    const apiError = error.response.data.error;
-    if (apiError) {
-      errorMessage += ` | API Error: ${apiError.code} ${apiError.message}`;
-      if (apiError.status) errorMessage += ` (Status: ${apiError.status})`;
-      if (apiError.errors && apiError.errors.length > 0) {
-         errorMessage += ` | Details: ${apiError.errors.map(e => `${e.reason}: ${e.message}`).join(', ')}`;
-      }
+  const gscError = toGscError(error, operationName);
+  console.error(gscError.message, error.stack); // Log the full stack for debugging
+  throw gscError;
+}
+
+// --- Response Cache ---
+
+// Read-only operations are cached in memory (and in GSC_CACHE_FILE, when set) for these durations,
+// within a size budget (GSC_CACHE_MAX_BYTES, see gscCache.js).
+// URL inspection is deliberately not cached: it is used to check for fresh index status.
+const CACHE_TTL_MS = {
+  listSites: 10 * 60 * 1000,
+  getSite: 10 * 60 * 1000,
+  listSitemaps: 10 * 60 * 1000,
+  getSitemap: 10 * 60 * 1000,
+  queryAnalytics: 30 * 60 * 1000,
+};
+
+const isCacheEnabled = process.env.GSC_CACHE_ENABLED !== 'false';
+const responseCache = createResponseCache({ filePath: process.env.GSC_CACHE_FILE });
+
+// Cache metadata for results returned by the read-only functions (result object -> metadata).
+const cacheInfoByResult = new WeakMap();
+
+/**
+ * Attaches cache metadata to a result so callers can retrieve it with getCacheInfo.
+ * @param {Object} result The value being returned to the caller.
+ * @param {Object} cacheInfo The metadata reported by callApi.
+ * @returns {Object} The result, unchanged.
+ */
+function withCacheInfo(result, cacheInfo) {
+  if (cacheInfo && result && typeof result === 'object') cacheInfoByResult.set(result, cacheInfo);
+  return result;
+}
+
+/**
+ * Returns cache hit/miss metadata for a result returned by a read-only gscService function.
+ * @param {Object} result A result from listSites, getSite, queryAnalytics, listSitemaps or getSitemap.
+ * @returns {{hit: boolean, ageMs: number, ttlMs: number}|undefined} Undefined when the result was not cacheable.
+ */
+function getCacheInfo(result) {
+  return result && typeof result === 'object' ? cacheInfoByResult.get(result) : undefined;
+}
+
+/**
+ * Drops every cached response for a site (and the cached site list) after a write operation.
+ * @param {string} siteUrl The affected site.
+ */
+function invalidateSiteCache(siteUrl) {
+  const removed = responseCache.invalidateSite(siteUrl);
+  if (removed > 0) console.log(`gscService: Invalidated ${removed} cached response(s) for "${siteUrl}".`);
+}
+
+/**
+ * Sends one API request, retrying rate-limit and transient failures with backoff.
+ * When `cacheable` is given, a live cached response is returned instead of calling the API,
+ * and the response carries a `cache` property with hit/miss metadata.
+ * @param {string} operationName The name of the operation being performed.
+ * @param {function(): Promise<Object>} request The googleapis call to make.
+ * @param {{operation: string, profile: string, siteUrl: string, params: Object}} [cacheable] Cache key parts for read-only calls.
+ * @returns {Promise<Object>} The API response (only `data` is populated on a cache hit).
+ * @throws {GscError} When the request fails for good.
+ */
+async function callApi(operationName, request, cacheable) {
+  const key = cacheable && isCacheEnabled
+    ? responseCache.keyFor(cacheable.operation, cacheable.siteUrl, { profile: cacheable.profile, ...cacheable.params })
+    : null;
+  const ttlMs = cacheable && CACHE_TTL_MS[cacheable.operation];
+
+  if (key) {
+    const cached = responseCache.get(key);
+    if (cached) {
+      metrics.recordCall(operationName, 'cache_hit');
+      return { data: cached.value, cache: { hit: true, ageMs: Date.now() - cached.storedAt, ttlMs } };
     }
-    if (error.response.status === 401 && (apiError.message.includes('invalid_grant') || apiError.message.includes('Invalid Credentials'))) {
-      errorMessage += ' | This might be due to an expired or revoked refresh token. Re-authorization may be needed.';
+  }
+
+  const startedAt = Date.now();
+  let res;
+  try {
+    res = await withRetry(operationName, request, {
+      onRetry: (error) => metrics.recordRetry(operationName, error.name),
+    });
+  } catch (e) {
+    const gscError = toGscError(e, operationName);
+    metrics.recordCall(operationName, gscError.name, Date.now() - startedAt);
+    handleApiError(gscError, operationName);
+  }
+  metrics.recordCall(operationName, 'success', Date.now() - startedAt);
+
+  if (key) {
+    responseCache.set(key, cacheable.siteUrl, res.data, ttlMs);
+    res.cache = { hit: false, ageMs: 0, ttlMs };
+  }
+  return res;
+}
+
+// --- Write Policy ---
+
+/**
+ * Runs a write operation under the policy in gscPolicy.js: read-only mode and the site allowlist
+ * can reject it, and unless confirmation is disabled, a call without a valid `confirm` token
+ * (or any call with `dryRun`) returns a preview and a token instead of writing.
+ * Every outcome is recorded in the audit log.
+ * @param {string} operation The write operation (e.g. 'deleteSite').
+ * @param {{siteUrl: string, feedpath: (string|undefined)}} params The operation's arguments.
+ * @param {{profile: (string|undefined), dryRun: (boolean|undefined), confirm: (string|undefined)}} options The caller's options.
+ * @param {string} effect One sentence describing what the write will do, shown in the preview.
+ * @param {function(): Promise<Object>} write Performs the write.
+ * @returns {Promise<Object>} The write's result, or the preview.
+ * @throws {GscPermissionError} When the policy forbids the write.
+ * @throws {GscValidationError} When the confirmation token is invalid.
+ */
+async function runGuardedWrite(operation, params, options, effect, write) {
+  const args = { ...params, profile: options.profile };
+  try {
+    checkWritePolicy(operation, params.siteUrl);
+  } catch (e) {
+    recordAudit({ operation, args, outcome: 'denied', error: e.message });
+    throw e;
+  }
+
+  const { requireConfirmation } = getWritePolicy();
+  if (options.dryRun || (requireConfirmation && !options.confirm)) {
+    const preview = { dryRun: true, operation, ...args, effect };
+    if (requireConfirmation) {
+      const { token, expiresAt } = issueConfirmation(operation, args);
+      Object.assign(preview, {
+        confirmationToken: token,
+        expiresAt,
+        message: `Nothing was changed. To proceed, call ${operation} again with the same arguments and confirm: "${token}" before ${expiresAt}.`,
+      });
+    } else {
+      preview.message = 'Nothing was changed (dry run).';
     }
-  } else if (error.message.includes('No refresh token is set.')) {
-     errorMessage += ' | OAuth refresh token is missing or not set correctly.';
+    recordAudit({ operation, args, outcome: 'previewed' });
+    return preview;
+  }
+
+  if (requireConfirmation) {
+    try {
+      consumeConfirmation(options.confirm, operation, args);
+    } catch (e) {
+      recordAudit({ operation, args, outcome: 'denied', error: e.message });
+      throw e;
+    }
+  }
+  try {
+    const result = await write();
+    recordAudit({ operation, args, outcome: 'succeeded' });
+    return result;
+  } catch (e) {
+    recordAudit({ operation, args, outcome: 'failed', error: e.message });
+    throw e;
   }
-  console.error(errorMessage, error.stack); // Log the full stack for debugging
-  throw new Error(errorMessage); // Re-throw a new error with combined info
 }
 
 // --- Sites API ---
 
+// Higher-ranked permission levels win when several profiles can see the same property.
+const PERMISSION_RANK = ['siteUnverifiedUser', 'siteRestrictedUser', 'siteFullUser', 'siteOwner'];
+
 /**
  * Lists all sites (properties) accessible by the authenticated user.
+ * Without a profile, properties from every usable profile are merged; each entry carries the
+ * `profile` that serves it, and later calls for that siteUrl are routed to the same profile.
+ * @param {Object} [options] Optional parameters.
+ * @param {string} [options.profile] Only list the properties of this credential profile.
  * @returns {Promise<Array<Object>>} A promise that resolves to an array of site entries.
  */
-async function listSites() {
-  if (!isAuthInitialized) throw new Error("GSC Service not initialized due to missing OAuth credentials.");
-  try {
-    const res = await searchconsole.sites.list();
-    return res.data.siteEntry || [];
-  } catch (e) {
-    handleApiError(e, 'listSites');
+async function listSites(options = {}) {
+  const profiles = options.profile
+    ? [(await resolveAuth(null, options.profile)).profile]
+    : listProfiles().filter((name) => getAuthClient(name));
+  if (profiles.length === 0) throw new GscAuthError("GSC Service not initialized due to missing OAuth credentials.");
+
+  const merged = new Map(); // siteUrl -> entry
+  let allFromCache = true;
+  let firstError = null;
+  for (const profile of profiles) {
+    let res;
+    try {
+      const auth = getAuthClient(profile);
+      res = await callApi(`listSites (${profile})`, () => searchconsole.sites.list({ auth }), { operation: 'listSites', profile });
+    } catch (e) {
+      // One revoked account should not hide every other account's properties.
+      if (options.profile) throw e;
+      console.warn(`gscService: Skipping profile "${profile}" in listSites: ${e.message}`);
+      firstError = firstError || e;
+      continue;
+    }
+    allFromCache = allFromCache && Boolean(res.cache && res.cache.hit);
+    for (const entry of res.data.siteEntry || []) {
+      const existing = merged.get(entry.siteUrl);
+      if (!existing || PERMISSION_RANK.indexOf(entry.permissionLevel) > PERMISSION_RANK.indexOf(existing.permissionLevel)) {
+        merged.set(entry.siteUrl, { ...entry, profile });
+      }
+    }
   }
+  if (merged.size === 0 && firstError) throw firstError;
+
+  for (const entry of merged.values()) siteRoutes.set(entry.siteUrl, entry.profile);
+  return withCacheInfo([...merged.values()], isCacheEnabled ? { hit: allFromCache, ttlMs: CACHE_TTL_MS.listSites } : undefined);
 }
 
 /**
  * Gets a specific site's (property's) information.
  * @param {string} siteUrl The full URL of the site (e.g., 'sc-domain:example.com' or 'https://www.example.com/').
+ * @param {Object} [options] Optional parameters.
+ * @param {string} [options.profile] Credential profile to use (routed by siteUrl by default).
  * @returns {Promise<Object>} A promise that resolves to the site entry object.
  */
-async function getSite(siteUrl) {
-  if (!isAuthInitialized) throw new Error("GSC Service not initialized due to missing OAuth credentials.");
-  if (!siteUrl) throw new Error("siteUrl parameter is required for getSite.");
-  try {
-    const res = await searchconsole.sites.get({ siteUrl });
-    return res.data;
-  } catch (e) {
-    handleApiError(e, `getSite (${siteUrl})`);
-  }
+async function getSite(siteUrl, options = {}) {
+  if (!siteUrl) throw new GscValidationError("siteUrl parameter is required for getSite.");
+  const { profile, auth } = await resolveAuth(siteUrl, options.profile);
+  const res = await callApi(`getSite (${siteUrl})`, () => searchconsole.sites.get({ siteUrl, auth }), { operation: 'getSite', siteUrl, profile });
+  return withCacheInfo(res.data, res.cache);
 }
 
 /**
  * Adds a site to the Search Console.
  * Note: The authenticated user must be an owner of the site.
  * @param {string} siteUrl The URL of the site to add.
- * @returns {Promise<void>} A promise that resolves when the site is added successfully.
+ * @param {Object} [options] Optional parameters.
+ * @param {string} [options.profile] Credential profile (Google account) to add the site to.
+ * @param {boolean} [options.dryRun] Only preview the change, without adding the site.
+ * @param {string} [options.confirm] The confirmation token from a preview; required to perform the write
+ *   unless GSC_REQUIRE_CONFIRMATION=false (see runGuardedWrite).
+ * @returns {Promise<Object>} A message once the site is added, or the preview.
  */
-async function addSite(siteUrl) {
-  if (!isAuthInitialized) throw new Error("GSC Service not initialized due to missing OAuth credentials.");
-  if (!siteUrl) throw new Error("siteUrl parameter is required for addSite.");
-  try {
+async function addSite(siteUrl, options = {}) {
+  if (!siteUrl) throw new GscValidationError("siteUrl parameter is required for addSite.");
+  const effect = `Adds "${siteUrl}" as a Search Console property.`;
+  return runGuardedWrite('addSite', { siteUrl }, options, effect, async () => {
+    const { profile, auth } = await resolveAuth(siteUrl, options.profile);
     // The add operation does not return a body, so we just await its completion.
-    await searchconsole.sites.add({ siteUrl });
-    console.log(`gscService: Site "${siteUrl}" submitted for addition successfully.`);
+    await callApi(`addSite (${siteUrl})`, () => searchconsole.sites.add({ siteUrl, auth }));
+    invalidateSiteCache(siteUrl);
+    siteRoutes.set(siteUrl, profile);
+    console.log(`gscService: Site "${siteUrl}" submitted for addition successfully (profile "${profile}").`);
     return { message: `Site "${siteUrl}" submitted for addition successfully. Verification may be required.` };
-  } catch (e) {
-    handleApiError(e, `addSite (${siteUrl})`);
-  }
+  });
 }
 
 /**
  * Deletes a site from the Search Console.
  * Note: The authenticated user must be an owner of the site.
  * @param {string} siteUrl The URL of the site to delete.
- * @returns {Promise<void>} A promise that resolves when the site is deleted successfully.
+ * @param {Object} [options] Optional parameters.
+ * @param {string} [options.profile] Credential profile to use (routed by siteUrl by default).
+ * @param {boolean} [options.dryRun] Only preview the change, without deleting the site.
+ * @param {string} [options.confirm] The confirmation token from a preview; required to perform the write
+ *   unless GSC_REQUIRE_CONFIRMATION=false (see runGuardedWrite).
+ * @returns {Promise<Object>} A message once the site is deleted, or the preview.
  */
-async function deleteSite(siteUrl) {
-  if (!isAuthInitialized) throw new Error("GSC Service not initialized due to missing OAuth credentials.");
-  if (!siteUrl) throw new Error("siteUrl parameter is required for deleteSite.");
-  try {
+async function deleteSite(siteUrl, options = {}) {
+  if (!siteUrl) throw new GscValidationError("siteUrl parameter is required for deleteSite.");
+  const effect = `Removes the property "${siteUrl}" from Search Console, along with its sitemaps, for this account.`;
+  return runGuardedWrite('deleteSite', { siteUrl }, options, effect, async () => {
+    const { profile, auth } = await resolveAuth(siteUrl, options.profile);
     // The delete operation does not return a body.
-    await searchconsole.sites.delete({ siteUrl });
-    console.log(`gscService: Site "${siteUrl}" deleted successfully.`);
+    await callApi(`deleteSite (${siteUrl})`, () => searchconsole.sites.delete({ siteUrl, auth }));
+    invalidateSiteCache(siteUrl);
+    siteRoutes.delete(siteUrl);
+    console.log(`gscService: Site "${siteUrl}" deleted successfully (profile "${profile}").`);
     return { message: `Site "${siteUrl}" deleted successfully.` };
-  } catch (e) {
-    handleApiError(e, `deleteSite (${siteUrl})`);
-  }
+  });
 }
 
 // --- Search Analytics API ---
 
+// The Search Analytics API returns at most this many rows per request.
+const MAX_ROWS_PER_REQUEST = 25000;
+
+/**
+ * Builds the searchanalytics.query request body shared by the single-request and paginated variants.
+ * @param {string} startDate Start date in YYYY-MM-DD format.
+ * @param {string} endDate End date in YYYY-MM-DD format.
+ * @param {Array<string>} dimensions Array of dimensions.
+ * @param {Object} options Optional parameters (see queryAnalytics).
+ * @returns {Object} The request body, without rowLimit/startRow.
+ */
+function buildAnalyticsRequestBody(startDate, endDate, dimensions, options) {
+  const {
+    dimensionFilterGroups,
+    filter,
+    type = 'web',
+    aggregationType = 'auto',
+  } = options;
+
+  const requestBody = {
+    startDate,
+    endDate,
+    dimensions,
+    type,
+    aggregationType,
+  };
+
+  if (dimensionFilterGroups || filter) {
+    requestBody.dimensionFilterGroups = [...(dimensionFilterGroups || []), ...(filter ? compileFilter(filter) : [])];
+  }
+  return requestBody;
+}
+
 /**
  * Queries search analytics data for a site.
+ * By default a single request is sent using rowLimit/startRow. With `options.fetchAll`, pages are
+ * requested from startRow onward until the results run out (or `options.maxRows` is reached), and
+ * the result carries `pagesFetched` and `truncated` alongside the combined rows.
  * @param {string} siteUrl The URL of the site.
  * @param {string} startDate Start date in YYYY-MM-DD format.
  * @param {string} endDate End date in YYYY-MM-DD format.
  * @param {Array<string>} dimensions Array of dimensions (e.g., ['query'], ['page'], ['date', 'device']).
  * @param {Object} [options] Optional parameters.
  * @param {Array<Object>} [options.dimensionFilterGroups] Filter groups.
+ * @param {string} [options.filter] Filter expression (see gscFilterExpression.js), e.g. 'query contains "pricing" and country = usa';
+ *   added to any dimensionFilterGroups.
  * @param {string} [options.type='web'] Type of search (web, image, video, news, discover, googleNews).
  * @param {string} [options.aggregationType='auto'] Aggregation type (auto, byPage, byProperty).
- * @param {number} [options.rowLimit=1000] Maximum number of rows to return.
+ * @param {number} [options.rowLimit=1000] Maximum number of rows to return (per page when fetchAll is set, capped at 25000).
  * @param {number} [options.startRow=0] Zero-based start row for pagination.
+ * @param {boolean} [options.fetchAll=false] Page through all results instead of sending a single request.
+ * @param {number} [options.maxRows] Overall row ceiling when fetchAll is set (no ceiling by default).
+ * @param {boolean} [options.cache=true] Set to false to bypass the response cache (e.g. for bulk exports).
+ * @param {string} [options.profile] Credential profile to use (routed by siteUrl by default).
  * @returns {Promise<Object>} A promise that resolves to the search analytics data (rows, totals, etc.).
  */
 async function queryAnalytics(siteUrl, startDate, endDate, dimensions, options = {}) {
-  if (!isAuthInitialized) throw new Error("GSC Service not initialized due to missing OAuth credentials.");
   if (!siteUrl || !startDate || !endDate || !dimensions || dimensions.length === 0) {
-    throw new Error("siteUrl, startDate, endDate, and dimensions are required for queryAnalytics.");
+    throw new GscValidationError("siteUrl, startDate, endDate, and dimensions are required for queryAnalytics.");
+  }
+
+  if (options.fetchAll) {
+    return collectAnalyticsPages(siteUrl, startDate, endDate, dimensions, options);
   }
 
   const {
-    dimensionFilterGroups,
-    type = 'web',
-    aggregationType = 'auto',
     rowLimit = 1000, // Default to a reasonable number
     startRow = 0,
   } = options;
 
   const requestBody = {
-    startDate,
-    endDate,
-    dimensions,
-    type,
-    aggregationType,
+    ...buildAnalyticsRequestBody(startDate, endDate, dimensions, options),
     rowLimit,
     startRow,
   };
 
-  if (dimensionFilterGroups) {
-    requestBody.dimensionFilterGroups = dimensionFilterGroups;
+  const { profile, auth } = await resolveAuth(siteUrl, options.profile);
+  const res = await callApi(`queryAnalytics for ${siteUrl}`, () => searchconsole.searchanalytics.query({
+    siteUrl,
+    requestBody,
+    auth,
+  }), options.cache === false ? undefined : { operation: 'queryAnalytics', siteUrl, profile, params: requestBody });
+  return withCacheInfo(res.data, res.cache); // Contains 'rows', 'responseAggregationType', etc.
+}
+
+/**
+ * Async-iterator variant of queryAnalytics that pages through `startRow` and yields each page as
+ * it arrives, so large exports (e.g. query x page) can be processed without holding every row in memory.
+ * Iteration stops when a page comes back short or empty, or once `options.maxRows` rows have been yielded.
+ * @param {string} siteUrl The URL of the site.
+ * @param {string} startDate Start date in YYYY-MM-DD format.
+ * @param {string} endDate End date in YYYY-MM-DD format.
+ * @param {Array<string>} dimensions Array of dimensions.
+ * @param {Object} [options] Same options as queryAnalytics; `rowLimit` is the page size (default and cap 25000).
+ * @param {number} [options.maxRows] Overall row ceiling (no ceiling by default).
+ * @yields {{rows: Array<Object>, startRow: number, pageIndex: number, responseAggregationType: string, cache: Object, truncated: boolean}}
+ *   One page of rows with its cache metadata. `truncated` is true on the last page when the ceiling stopped
+ *   iteration before the results ran out.
+ */
+async function* queryAnalyticsPages(siteUrl, startDate, endDate, dimensions, options = {}) {
+  if (!siteUrl || !startDate || !endDate || !dimensions || dimensions.length === 0) {
+    throw new GscValidationError("siteUrl, startDate, endDate, and dimensions are required for queryAnalyticsPages.");
   }
+  const { profile, auth } = await resolveAuth(siteUrl, options.profile);
 
-  try {
-    const res = await searchconsole.searchanalytics.query({
+  const pageSize = Math.min(options.rowLimit || MAX_ROWS_PER_REQUEST, MAX_ROWS_PER_REQUEST);
+  const maxRows = options.maxRows > 0 ? options.maxRows : Infinity;
+  const baseBody = buildAnalyticsRequestBody(startDate, endDate, dimensions, options);
+
+  let startRow = options.startRow || 0;
+  let rowsYielded = 0;
+  let pageIndex = 0;
+
+  while (rowsYielded < maxRows) {
+    const rowLimit = Math.min(pageSize, maxRows - rowsYielded);
+    const requestBody = { ...baseBody, rowLimit, startRow };
+    const { data, cache } = await callApi(`queryAnalytics for ${siteUrl} (startRow ${startRow})`, () => searchconsole.searchanalytics.query({
       siteUrl,
       requestBody,
-    });
-    return res.data; // Contains 'rows', 'responseAggregationType', etc.
-  } catch (e) {
-    handleApiError(e, `queryAnalytics for ${siteUrl}`);
+      auth,
+    }), options.cache === false ? undefined : { operation: 'queryAnalytics', siteUrl, profile, params: requestBody });
+
+    const rows = data.rows || [];
+    if (rows.length === 0) return;
+
+    rowsYielded += rows.length;
+    const exhausted = rows.length < rowLimit;
+    yield {
+      rows,
+      startRow,
+      pageIndex,
+      responseAggregationType: data.responseAggregationType,
+      cache,
+      // A full page at the ceiling means more rows may exist beyond it.
+      truncated: !exhausted && rowsYielded >= maxRows,
+    };
+    if (exhausted) return;
+
+    startRow += rows.length;
+    pageIndex++;
+  }
+}
+
+/**
+ * Collects every page from queryAnalyticsPages into a single result.
+ * @param {string} siteUrl The URL of the site.
+ * @param {string} startDate Start date in YYYY-MM-DD format.
+ * @param {string} endDate End date in YYYY-MM-DD format.
+ * @param {Array<string>} dimensions Array of dimensions.
+ * @param {Object} options Same options as queryAnalyticsPages.
+ * @returns {Promise<{rows: Array<Object>, responseAggregationType: string, pagesFetched: number, rowCount: number, truncated: boolean}>}
+ */
+async function collectAnalyticsPages(siteUrl, startDate, endDate, dimensions, options) {
+  const result = { rows: [], responseAggregationType: undefined, pagesFetched: 0, rowCount: 0, truncated: false };
+  let pagesFromCache = 0;
+  for await (const page of queryAnalyticsPages(siteUrl, startDate, endDate, dimensions, options)) {
+    for (const row of page.rows) result.rows.push(row);
+    result.responseAggregationType = page.responseAggregationType;
+    result.pagesFetched++;
+    result.truncated = page.truncated;
+    if (page.cache && page.cache.hit) pagesFromCache++;
   }
+  result.rowCount = result.rows.length;
+  return withCacheInfo(result, isCacheEnabled
+    ? { hit: result.pagesFetched > 0 && pagesFromCache === result.pagesFetched, pagesFromCache, ttlMs: CACHE_TTL_MS.queryAnalytics }
+    : undefined);
 }
 
 // --- URL Inspection API ---
 
+// Default URL Inspection API quota per property, as documented by Google.
+// The daily quota resets at midnight Pacific Time.
+const INSPECTION_DAILY_QUOTA = 2000;
+const INSPECTION_PER_MINUTE_QUOTA = 600;
+const INSPECTION_DEFAULT_CONCURRENCY = 5;
+
+// Per-site inspection usage: siteUrl -> { day, dayCount, recent: [timestamps within the last minute] }
+const inspectionUsage = new Map();
+
+/**
+ * Returns today's date in Pacific Time (YYYY-MM-DD), the day boundary Google uses for quotas.
+ * @returns {string}
+ */
+function quotaDay() {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: 'America/Los_Angeles' }).format(new Date());
+}
+
+/**
+ * Returns the usage record for a site, resetting the daily count when the quota day rolls over.
+ * @param {string} siteUrl The site URL.
+ * @returns {{day: string, dayCount: number, recent: Array<number>}}
+ */
+function getInspectionUsage(siteUrl) {
+  const day = quotaDay();
+  let usage = inspectionUsage.get(siteUrl);
+  if (!usage || usage.day !== day) {
+    usage = { day, dayCount: 0, recent: usage ? usage.recent : [] };
+    inspectionUsage.set(siteUrl, usage);
+  }
+  const cutoff = Date.now() - 60000;
+  while (usage.recent.length > 0 && usage.recent[0] <= cutoff) usage.recent.shift();
+  return usage;
+}
+
+/**
+ * Records one URL inspection against a site's quota usage.
+ * @param {string} siteUrl The site URL.
+ */
+function recordInspection(siteUrl) {
+  const usage = getInspectionUsage(siteUrl);
+  usage.dayCount++;
+  usage.recent.push(Date.now());
+}
+
+/**
+ * Reserves one inspection from a site's budget, waiting for the per-minute window to free up if needed.
+ * @param {string} siteUrl The site URL.
+ * @param {number} dailyQuota Maximum inspections per day for the site.
+ * @param {number} perMinuteQuota Maximum inspections per minute for the site.
+ * @returns {Promise<boolean>} True once reserved, false if the daily budget is exhausted.
+ */
+async function reserveInspection(siteUrl, dailyQuota, perMinuteQuota) {
+  for (;;) {
+    const usage = getInspectionUsage(siteUrl);
+    if (usage.dayCount >= dailyQuota) return false;
+    if (usage.recent.length < perMinuteQuota) {
+      recordInspection(siteUrl);
+      return true;
+    }
+    const waitMs = usage.recent[0] + 60000 - Date.now();
+    await new Promise((resolve) => setTimeout(resolve, Math.max(waitMs, 10)));
+  }
+}
+
+/**
+ * Sends the urlInspection.index.inspect request without touching the quota bookkeeping.
+ * @param {string} siteUrl The site URL.
+ * @param {string} inspectionUrl The full URL to inspect.
+ * @param {string} languageCode The language code for the inspection results.
+ * @param {OAuth2Client} auth The OAuth2 client of the profile serving the site.
+ * @returns {Promise<Object>} The inspection result.
+ */
+async function requestInspection(siteUrl, inspectionUrl, languageCode, auth) {
+  const res = await callApi(`inspectUrl for ${inspectionUrl}`, () => searchconsole.urlInspection.index.inspect({
+    requestBody: {
+      inspectionUrl,
+      siteUrl,
+      languageCode,
+    },
+    auth,
+  }));
+  return res.data.inspectionResult; // Contains 'indexStatusResult', 'inspectionResultLink', 'crawledAs', etc.
+}
+
 /**
  * Inspects a URL to get its indexing status and other information from Google's index.
  * @param {string} siteUrl The site URL to which the inspectionUrl belongs (e.g., 'sc-domain:example.com' or property URL).
  * @param {string} inspectionUrl The full URL to inspect.
  * @param {string} [languageCode='en-US'] The language code for the inspection results (IETF BCP-47 format).
+ * @param {Object} [options] Optional parameters.
+ * @param {string} [options.profile] Credential profile to use (routed by siteUrl by default).
  * @returns {Promise<Object>} A promise that resolves to the inspection result.
  */
-async function inspectUrl(siteUrl, inspectionUrl, languageCode = 'en-US') {
-  if (!isAuthInitialized) throw new Error("GSC Service not initialized due to missing OAuth credentials.");
+async function inspectUrl(siteUrl, inspectionUrl, languageCode = 'en-US', options = {}) {
   if (!siteUrl || !inspectionUrl) {
-    throw new Error("siteUrl and inspectionUrl are required for inspectUrl.");
+    throw new GscValidationError("siteUrl and inspectionUrl are required for inspectUrl.");
   }
-  try {
-    const res = await searchconsole.urlInspection.index.inspect({
-      requestBody: {
-        inspectionUrl,
-        siteUrl,
-        languageCode,
-      },
-    });
-    return res.data.inspectionResult; // Contains 'indexStatusResult', 'inspectionResultLink', 'crawledAs', etc.
-  } catch (e) {
-    handleApiError(e, `inspectUrl for ${inspectionUrl}`);
+  const { auth } = await resolveAuth(siteUrl, options.profile);
+  recordInspection(siteUrl);
+  return requestInspection(siteUrl, inspectionUrl, languageCode, auth);
+}
+
+/**
+ * Inspects many URLs of one site with bounded concurrency and a per-site quota budget.
+ * Individual failures are recorded and do not stop the batch; once the daily budget is
+ * exhausted the remaining URLs are marked as skipped.
+ * @param {string} siteUrl The site URL the URLs belong to.
+ * @param {Array<string>|Object} urls A list of URLs, or a queryAnalytics result whose rows include the page dimension.
+ * @param {Object} [options] Optional parameters.
+ * @param {string} [options.languageCode='en-US'] The language code for the inspection results.
+ * @param {number} [options.concurrency=5] Maximum inspections in flight at once.
+ * @param {number} [options.dailyQuota=2000] Daily inspection budget for the site (shared with inspectUrl calls).
+ * @param {number} [options.perMinuteQuota=600] Per-minute inspection budget for the site.
+ * @param {string} [options.profile] Credential profile to use (routed by siteUrl by default).
+ * @returns {Promise<Object>} Counts, a summary grouped by verdict and coverageState, and per-URL results in input order.
+ */
+async function inspectUrls(siteUrl, urls, options = {}) {
+  if (!siteUrl || !urls) {
+    throw new GscValidationError("siteUrl and urls are required for inspectUrls.");
   }
+  const { auth } = await resolveAuth(siteUrl, options.profile);
+
+  const {
+    languageCode = 'en-US',
+    concurrency = INSPECTION_DEFAULT_CONCURRENCY,
+    dailyQuota = INSPECTION_DAILY_QUOTA,
+    perMinuteQuota = INSPECTION_PER_MINUTE_QUOTA,
+  } = options;
+
+  // Accept a queryAnalytics result (page dimension) as well as a plain list.
+  const candidates = Array.isArray(urls)
+    ? urls
+    : (urls.rows || []).map((row) => (row.keys || []).find((key) => /^https?:\/\//.test(key)));
+  const uniqueUrls = [...new Set(candidates.filter(Boolean))];
+
+  const results = uniqueUrls.map((url) => ({ url, status: 'pending' }));
+  let nextIndex = 0;
+  let quotaExhausted = false;
+
+  const worker = async () => {
+    while (nextIndex < results.length) {
+      const result = results[nextIndex++];
+      if (quotaExhausted || !(await reserveInspection(siteUrl, dailyQuota, perMinuteQuota))) {
+        quotaExhausted = true;
+        result.status = 'skipped';
+        result.error = `Daily inspection quota for ${siteUrl} is exhausted.`;
+        continue;
+      }
+      try {
+        const inspection = await requestInspection(siteUrl, result.url, languageCode, auth);
+        result.status = 'ok';
+        result.indexStatusResult = inspection.indexStatusResult;
+        result.inspectionResultLink = inspection.inspectionResultLink;
+      } catch (e) {
+        result.status = 'error';
+        result.error = e.message;
+        // Google's own daily quota ran out before our local budget did; stop spending requests.
+        if (e instanceof GscQuotaError && !e.retryable) quotaExhausted = true;
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, results.length)) }, worker));
+
+  const summary = { byVerdict: {}, byCoverageState: {} };
+  for (const result of results) {
+    if (result.status !== 'ok') continue;
+    const { verdict = 'UNKNOWN', coverageState = 'Unknown' } = result.indexStatusResult || {};
+    for (const [group, key] of [[summary.byVerdict, verdict], [summary.byCoverageState, coverageState]]) {
+      if (!group[key]) group[key] = { count: 0, urls: [] };
+      group[key].count++;
+      group[key].urls.push(result.url);
+    }
+  }
+
+  const count = (status) => results.filter((r) => r.status === status).length;
+  return {
+    siteUrl,
+    total: results.length,
+    inspected: count('ok'),
+    failed: count('error'),
+    skipped: count('skipped'),
+    summary,
+    results,
+  };
 }
 
 // --- Sitemaps API ---
@@ -223,57 +801,67 @@ async function inspectUrl(siteUrl, inspectionUrl, languageCode = 'en-US') {
 /**
  * Lists the sitemaps-entries submitted for this site, or basic information about a specific sitemap.
  * @param {string} siteUrl The site's URL (e.g., 'https://www.example.com/').
+ * @param {Object} [options] Optional parameters.
+ * @param {string} [options.profile] Credential profile to use (routed by siteUrl by default).
  * @returns {Promise<Array<Object>>} A promise that resolves to an array of sitemap objects.
  */
-async function listSitemaps(siteUrl) {
-  if (!isAuthInitialized) throw new Error("GSC Service not initialized due to missing OAuth credentials.");
-  if (!siteUrl) throw new Error("siteUrl parameter is required for listSitemaps.");
-  try {
-    const res = await searchconsole.sitemaps.list({ siteUrl });
-    return res.data.sitemap || [];
-  } catch (e) {
-    handleApiError(e, `listSitemaps for ${siteUrl}`);
-  }
+async function listSitemaps(siteUrl, options = {}) {
+  if (!siteUrl) throw new GscValidationError("siteUrl parameter is required for listSitemaps.");
+  const { profile, auth } = await resolveAuth(siteUrl, options.profile);
+  const res = await callApi(`listSitemaps for ${siteUrl}`, () => searchconsole.sitemaps.list({ siteUrl, auth }), {
+    operation: 'listSitemaps',
+    siteUrl,
+    profile,
+  });
+  return withCacheInfo(res.data.sitemap || [], res.cache);
 }
 
 /**
  * Retrieves information about a specific sitemap.
  * @param {string} siteUrl The site's URL.
  * @param {string} feedpath The full URL of the sitemap (e.g., 'https://www.example.com/sitemap.xml').
+ * @param {Object} [options] Optional parameters.
+ * @param {string} [options.profile] Credential profile to use (routed by siteUrl by default).
  * @returns {Promise<Object>} A promise that resolves to the sitemap object.
  */
-async function getSitemap(siteUrl, feedpath) {
-  if (!isAuthInitialized) throw new Error("GSC Service not initialized due to missing OAuth credentials.");
+async function getSitemap(siteUrl, feedpath, options = {}) {
   if (!siteUrl || !feedpath) {
-    throw new Error("siteUrl and feedpath are required for getSitemap.");
-  }
-  try {
-    const res = await searchconsole.sitemaps.get({ siteUrl, feedpath });
-    return res.data;
-  } catch (e) {
-    handleApiError(e, `getSitemap for ${feedpath}`);
+    throw new GscValidationError("siteUrl and feedpath are required for getSitemap.");
   }
+  const { profile, auth } = await resolveAuth(siteUrl, options.profile);
+  const res = await callApi(`getSitemap for ${feedpath}`, () => searchconsole.sitemaps.get({ siteUrl, feedpath, auth }), {
+    operation: 'getSitemap',
+    siteUrl,
+    profile,
+    params: { feedpath },
+  });
+  return withCacheInfo(res.data, res.cache);
 }
 
 /**
  * Submits a sitemap for a site.
  * @param {string} siteUrl The site's URL.
  * @param {string} feedpath The full URL of the sitemap to submit.
- * @returns {Promise<Object>} A promise that resolves to an object indicating submission status.
+ * @param {Object} [options] Optional parameters.
+ * @param {string} [options.profile] Credential profile to use (routed by siteUrl by default).
+ * @param {boolean} [options.dryRun] Only preview the change, without submitting the sitemap.
+ * @param {string} [options.confirm] The confirmation token from a preview; required to perform the write
+ *   unless GSC_REQUIRE_CONFIRMATION=false (see runGuardedWrite).
+ * @returns {Promise<Object>} A promise that resolves to an object indicating submission status, or the preview.
  */
-async function submitSitemap(siteUrl, feedpath) {
-  if (!isAuthInitialized) throw new Error("GSC Service not initialized due to missing OAuth credentials.");
+async function submitSitemap(siteUrl, feedpath, options = {}) {
   if (!siteUrl || !feedpath) {
-    throw new Error("siteUrl and feedpath are required for submitSitemap.");
+    throw new GscValidationError("siteUrl and feedpath are required for submitSitemap.");
   }
-  try {
+  const effect = `Submits the sitemap "${feedpath}" for "${siteUrl}" (or resubmits it if it is already known).`;
+  return runGuardedWrite('submitSitemap', { siteUrl, feedpath }, options, effect, async () => {
+    const { auth } = await resolveAuth(siteUrl, options.profile);
     // The submit operation doesn't typically return a detailed body on success, just a 200 OK.
-    await searchconsole.sitemaps.submit({ siteUrl, feedpath });
+    await callApi(`submitSitemap for ${feedpath}`, () => searchconsole.sitemaps.submit({ siteUrl, feedpath, auth }));
+    invalidateSiteCache(siteUrl);
     console.log(`gscService: Sitemap "${feedpath}" submitted successfully for site "${siteUrl}".`);
     return { message: `Sitemap "${feedpath}" submitted successfully for site "${siteUrl}".` };
-  } catch (e) {
-    handleApiError(e, `submitSitemap for ${feedpath}`);
-  }
+  });
 }
 
 /**
@@ -281,34 +869,44 @@ async function submitSitemap(siteUrl, feedpath) {
  * This will remove it from Google's processing queue, but Google may still crawl URLs discovered through it.
  * @param {string} siteUrl The site's URL.
  * @param {string} feedpath The full URL of the sitemap to delete.
- * @returns {Promise<Object>} A promise that resolves to an object indicating deletion status.
+ * @param {Object} [options] Optional parameters.
+ * @param {string} [options.profile] Credential profile to use (routed by siteUrl by default).
+ * @param {boolean} [options.dryRun] Only preview the change, without deleting the sitemap.
+ * @param {string} [options.confirm] The confirmation token from a preview; required to perform the write
+ *   unless GSC_REQUIRE_CONFIRMATION=false (see runGuardedWrite).
+ * @returns {Promise<Object>} A promise that resolves to an object indicating deletion status, or the preview.
  */
-async function deleteSitemap(siteUrl, feedpath) {
-  if (!isAuthInitialized) throw new Error("GSC Service not initialized due to missing OAuth credentials.");
+async function deleteSitemap(siteUrl, feedpath, options = {}) {
   if (!siteUrl || !feedpath) {
-    throw new Error("siteUrl and feedpath are required for deleteSitemap.");
+    throw new GscValidationError("siteUrl and feedpath are required for deleteSitemap.");
   }
-  try {
+  const effect = `Removes the sitemap "${feedpath}" from "${siteUrl}"; Google may still crawl URLs it already discovered.`;
+  return runGuardedWrite('deleteSitemap', { siteUrl, feedpath }, options, effect, async () => {
+    const { auth } = await resolveAuth(siteUrl, options.profile);
     // The delete operation doesn't typically return a detailed body on success.
-    await searchconsole.sitemaps.delete({ siteUrl, feedpath });
+    await callApi(`deleteSitemap for ${feedpath}`, () => searchconsole.sitemaps.delete({ siteUrl, feedpath, auth }));
+    invalidateSiteCache(siteUrl);
     console.log(`gscService: Sitemap "${feedpath}" deleted successfully for site "${siteUrl}".`);
     return { message: `Sitemap "${feedpath}" deleted successfully for site "${siteUrl}".` };
-  } catch (e) {
-    handleApiError(e, `deleteSitemap for ${feedpath}`);
-  }
+  });
 }
 
 // --- Module Exports ---
 module.exports = {
-  isAuthInitialized, // So the calling module can check if GSC features are available
+  isAuthInitialized, // So the calling module can check if GSC features are available (re-checks the credential store)
+  listProfiles,
+  verifyAuth,
   listSites,
   getSite,
   addSite,
   deleteSite,
   queryAnalytics,
+  queryAnalyticsPages,
   inspectUrl,
+  inspectUrls,
   listSitemaps,
   getSitemap,
   submitSitemap,
   deleteSitemap,
+  getCacheInfo,
 };
@@ -0,0 +1,275 @@
+/**
+ * gscSitemapAudit.js
+ *
+ * Cross-checks what a site's sitemaps actually list against Search Console: fetches and parses
+ * the sitemap XML (following sitemap index files, gzipped or not), checks every entry against the
+ * property's scope, and runs URL inspection over all or a sample of the listed URLs.
+ */
+const zlib = require('node:zlib');
+const gscService = require('./gscService.js');
+const { GscValidationError } = require('./gscErrors.js');
+
+const DEFAULT_SAMPLE_SIZE = 50;
+const DEFAULT_MAX_SITEMAPS = 100; // Guards against runaway or circular sitemap indexes
+const DEFAULT_MAX_SITEMAP_BYTES = 50 * 1024 * 1024; // The sitemaps.org limit for one uncompressed sitemap
+const FETCH_TIMEOUT_MS = 30000;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// --- Parsing ---
+
+/**
+ * Decodes XML character data: CDATA sections, the predefined entities and numeric character references.
+ * @param {string} text Raw element content.
+ * @returns {string}
+ */
+function decodeXmlText(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+      if (entity[0] !== '#') return XML_ENTITIES[entity] || match;
+      const codePoint = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(codePoint);
+    })
+    .trim();
+}
+
+/**
+ * Parses a sitemap or sitemap index document.
+ * Only each entry's own <loc> is read, so extension elements such as <image:loc> are ignored.
+ * @param {string} xml The document.
+ * @returns {{type: ('urlset'|'sitemapindex'), locs: Array<string>}}
+ * @throws {Error} If the document is neither a <urlset> nor a <sitemapindex>.
+ */
+function parseSitemapXml(xml) {
+  const body = xml.replace(/<!--[\s\S]*?-->/g, '');
+  const root = /<(urlset|sitemapindex)[\s>]/.exec(body);
+  if (!root) throw new Error("Not a sitemap: no <urlset> or <sitemapindex> root element.");
+
+  const entryTag = root[1] === 'urlset' ? 'url' : 'sitemap';
+  const entryPattern = new RegExp(`<${entryTag}(?:\\s[^>]*)?>([\\s\\S]*?)</${entryTag}>`, 'g');
+  const locs = [];
+  for (const [, entry] of body.matchAll(entryPattern)) {
+    const loc = /<loc>([\s\S]*?)<\/loc>/.exec(entry);
+    if (loc) locs.push(decodeXmlText(loc[1]));
+  }
+  return { type: root[1], locs };
+}
+
+/**
+ * Tells whether a URL belongs to a Search Console property.
+ * Domain properties (sc-domain:example.com) cover every protocol and subdomain;
+ * URL-prefix properties cover URLs that start with the prefix.
+ * @param {string} siteUrl The property.
+ * @param {string} url The URL to check.
+ * @returns {boolean}
+ */
+function isInScope(siteUrl, url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return false;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return false;
+  if (siteUrl.startsWith('sc-domain:')) {
+    const domain = siteUrl.slice('sc-domain:'.length).toLowerCase();
+    return parsed.hostname === domain || parsed.hostname.endsWith(`.${domain}`);
+  }
+  return url.startsWith(siteUrl);
+}
+
+/**
+ * Picks up to `size` URLs spread evenly over the list, so a sample covers every sitemap rather than the first one.
+ * @param {Array<string>} urls The candidates.
+ * @param {number} size The sample size.
+ * @returns {Array<string>}
+ */
+function evenSample(urls, size) {
+  if (urls.length <= size) return urls;
+  const step = urls.length / size;
+  return Array.from({ length: size }, (_, i) => urls[Math.floor(i * step)]);
+}
+
+// --- Fetching ---
+
+/**
+ * Downloads one sitemap and returns its XML, gunzipping .gz sitemaps (detected by their magic bytes,
+ * since servers rarely label them consistently).
+ * @param {string} url The sitemap URL.
+ * @param {function} fetchImpl A fetch-compatible function.
+ * @param {number} maxBytes Largest accepted sitemap, after gunzipping; bounds memory use against gzip bombs.
+ * @returns {Promise<string>}
+ * @throws {Error} With a `status` property when the server answered with an error status, or if the
+ *   sitemap is larger than maxBytes.
+ */
+async function fetchSitemap(url, fetchImpl, maxBytes) {
+  let res;
+  try {
+    res = await fetchImpl(url, {
+      redirect: 'follow',
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+      headers: { 'User-Agent': 'gsc-sitemap-audit' },
+    });
+  } catch (e) {
+    // fetch reports DNS and connection failures as a bare "fetch failed" with the reason in `cause`.
+    const reason = e.cause ? ` (${e.cause.code || e.cause.message})` : '';
+    throw new Error(`Could not fetch ${url}: ${e.message}${reason}`);
+  }
+  if (!res.ok) {
+    const error = new Error(`HTTP ${res.status} fetching ${url}`);
+    error.status = res.status;
+    throw error;
+  }
+  let body = Buffer.from(await res.arrayBuffer());
+  if (body[0] === 0x1f && body[1] === 0x8b) {
+    try {
+      body = zlib.gunzipSync(body, { maxOutputLength: maxBytes });
+    } catch (e) {
+      if (e.code !== 'ERR_BUFFER_TOO_LARGE') throw new Error(`Could not gunzip ${url}: ${e.message}`);
+      body = null;
+    }
+  }
+  if (!body || body.length > maxBytes) throw new Error(`${url} is larger than ${maxBytes} bytes uncompressed.`);
+  return body.toString('utf-8');
+}
+
+// --- Audit ---
+
+/**
+ * Audits a site's sitemaps against the property and its index status.
+ * @param {string} siteUrl The property (e.g., 'sc-domain:example.com' or 'https://www.example.com/').
+ * @param {Object} [options] Optional parameters.
+ * @param {Array<string>} [options.sitemaps] Sitemap URLs to audit. Defaults to every sitemap GSC knows about.
+ * @param {('sample'|'all'|'none')} [options.inspect='sample'] Whether to inspect a sample, every, or none of the listed URLs.
+ * @param {number} [options.sampleSize=50] URLs to inspect in 'sample' mode.
+ * @param {number} [options.maxSitemaps=100] Maximum sitemap documents to fetch, including index children.
+ * @param {number} [options.maxSitemapBytes] Largest sitemap accepted, uncompressed (default 50 MiB).
+ * @param {number} [options.concurrency] Maximum inspections in flight at once (see inspectUrls).
+ * @param {string} [options.profile] Credential profile to use (routed by siteUrl by default).
+ * @param {function} [options.fetch=globalThis.fetch] fetch-compatible function used to download sitemaps (replaceable for tests).
+ * @returns {Promise<Object>} The fetched sitemaps, totals, and the notIndexed, unresolvable, duplicates and outOfScope findings.
+ *   Only sitemaps within the property are fetched; others, including sitemap index children, are only
+ *   reported as out of scope, so neither the arguments nor a fetched index can point the server at other hosts.
+ */
+async function auditSitemaps(siteUrl, options = {}) {
+  if (!siteUrl) throw new GscValidationError("siteUrl parameter is required for auditSitemaps.");
+  const {
+    inspect = 'sample',
+    sampleSize = DEFAULT_SAMPLE_SIZE,
+    maxSitemaps = DEFAULT_MAX_SITEMAPS,
+    maxSitemapBytes = DEFAULT_MAX_SITEMAP_BYTES,
+    concurrency,
+    profile,
+    fetch: fetchImpl = globalThis.fetch,
+  } = options;
+  if (!['sample', 'all', 'none'].includes(inspect)) {
+    throw new GscValidationError(`Invalid inspect mode "${inspect}": use 'sample', 'all' or 'none'.`);
+  }
+
+  const known = await gscService.listSitemaps(siteUrl, { profile });
+  const knownPaths = new Set(known.map((sitemap) => sitemap.path));
+  const requested = options.sitemaps && options.sitemaps.length > 0 ? [...options.sitemaps] : [...knownPaths];
+  if (requested.length === 0) {
+    throw new GscValidationError(`No sitemaps are submitted for ${siteUrl}; pass sitemaps explicitly to audit them.`);
+  }
+
+  const visited = new Set();
+  const sitemaps = [];
+  const unresolvable = [];
+  const outOfScope = [];
+  const queue = requested.filter((sitemapUrl) => {
+    if (isInScope(siteUrl, sitemapUrl)) return true;
+    outOfScope.push({ url: sitemapUrl, sitemap: null, kind: 'sitemap' });
+    return false;
+  });
+  const locations = new Map(); // URL -> sitemaps listing it (once per listing)
+  let entries = 0;
+  let truncated = false;
+
+  while (queue.length > 0) {
+    const sitemapUrl = queue.shift();
+    if (visited.has(sitemapUrl)) continue;
+    if (visited.size >= maxSitemaps) {
+      truncated = true;
+      break;
+    }
+    visited.add(sitemapUrl);
+
+    let parsed;
+    try {
+      parsed = parseSitemapXml(await fetchSitemap(sitemapUrl, fetchImpl, maxSitemapBytes));
+    } catch (e) {
+      unresolvable.push({ sitemap: sitemapUrl, knownToGsc: knownPaths.has(sitemapUrl), status: e.status, error: e.message });
+      continue;
+    }
+    sitemaps.push({ sitemap: sitemapUrl, type: parsed.type, entries: parsed.locs.length, knownToGsc: knownPaths.has(sitemapUrl) });
+
+    for (const loc of parsed.locs) {
+      if (parsed.type === 'sitemapindex') {
+        if (isInScope(siteUrl, loc)) queue.push(loc);
+        else outOfScope.push({ url: loc, sitemap: sitemapUrl, kind: 'sitemap' });
+        continue;
+      }
+      entries++;
+      if (!isInScope(siteUrl, loc)) {
+        outOfScope.push({ url: loc, sitemap: sitemapUrl, kind: 'url' });
+        continue;
+      }
+      if (!locations.has(loc)) locations.set(loc, []);
+      locations.get(loc).push(sitemapUrl);
+    }
+  }
+  if (truncated) console.warn(`gscSitemapAudit: Stopped after ${maxSitemaps} sitemaps for "${siteUrl}"; the audit is incomplete.`);
+
+  const duplicates = [...locations]
+    .filter(([, listedIn]) => listedIn.length > 1)
+    .map(([url, listedIn]) => ({ url, count: listedIn.length, sitemaps: [...new Set(listedIn)] }));
+
+  const uniqueUrls = [...locations.keys()];
+  const toInspect = inspect === 'all' ? uniqueUrls : inspect === 'sample' ? evenSample(uniqueUrls, sampleSize) : [];
+  let inspection = { mode: inspect, requested: 0, inspected: 0, failed: 0, skipped: 0, byVerdict: {} };
+  const notIndexed = [];
+  if (toInspect.length > 0) {
+    const batch = await gscService.inspectUrls(siteUrl, toInspect, { profile, concurrency });
+    inspection = {
+      mode: inspect,
+      requested: toInspect.length,
+      inspected: batch.inspected,
+      failed: batch.failed,
+      skipped: batch.skipped,
+      byVerdict: Object.fromEntries(Object.entries(batch.summary.byVerdict).map(([verdict, group]) => [verdict, group.count])),
+    };
+    for (const result of batch.results) {
+      if (result.status !== 'ok' || (result.indexStatusResult && result.indexStatusResult.verdict === 'PASS')) continue;
+      const { verdict, coverageState } = result.indexStatusResult || {};
+      notIndexed.push({ url: result.url, verdict, coverageState, sitemaps: [...new Set(locations.get(result.url))] });
+    }
+  }
+
+  return {
+    siteUrl,
+    truncated,
+    totals: {
+      sitemaps: sitemaps.length,
+      unresolvable: unresolvable.length,
+      entries,
+      uniqueUrls: uniqueUrls.length,
+      outOfScope: outOfScope.length,
+      duplicates: duplicates.length,
+    },
+    sitemaps,
+    inspection,
+    notIndexed,
+    unresolvable,
+    duplicates,
+    outOfScope,
+  };
+}
+
+// --- Module Exports ---
+module.exports = {
+  auditSitemaps,
+  isInScope,
+  parseSitemapXml,
+};
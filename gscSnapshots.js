@@ -0,0 +1,386 @@
+/**
+ * gscSnapshots.js
+ *
+ * Local history of Search Analytics data beyond GSC's ~16-month retention window.
+ * A scheduler in the long-lived wrapper (start-mcp.js) pulls each site's daily
+ * query x page x country x device rows into JSONL files, one per site, search type and day:
+ *
+ *   GSC_SNAPSHOT_DIR/<encoded siteUrl>/<type>/<YYYY-MM-DD>.jsonl
+ *
+ * A day file is written atomically and only once complete, so its presence means the day is
+ * stored; re-running a day replaces it. querySnapshots answers queryAnalytics-style questions
+ * (same dimensions and filters) from the stored rows.
+ *
+ * Note that GSC drops anonymized queries from query-level rows, so totals computed from
+ * snapshots are lower than the property totals GSC reports without the query dimension.
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const readline = require('node:readline');
+const gscService = require('./gscService.js');
+const { GscAuthError, GscQuotaError, GscValidationError } = require('./gscErrors.js');
+const { compileFilter } = require('./gscFilterExpression.js');
+const { integerFromEnv } = require('./mcpConfig.js');
+
+const SNAPSHOT_DIR = process.env.GSC_SNAPSHOT_DIR || path.join(__dirname, '.gsc-snapshots');
+const SNAPSHOT_DIMENSIONS = ['query', 'page', 'country', 'device'];
+const QUERYABLE_DIMENSIONS = ['date', ...SNAPSHOT_DIMENSIONS];
+
+const DEFAULT_BACKFILL_DAYS = integerFromEnv('GSC_SNAPSHOT_BACKFILL_DAYS', 486); // About 16 months
+const DEFAULT_INTERVAL_MS = integerFromEnv('GSC_SNAPSHOT_INTERVAL_MS', 6 * 60 * 60 * 1000);
+const DEFAULT_LAG_DAYS = 3; // GSC data for a day is final after about this long
+const DEFAULT_MAX_DAYS_PER_RUN = 30; // Per site, to spread a long backfill over several runs
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// --- Helpers ---
+
+/**
+ * Returns the directory holding a site's day files for a search type.
+ * @param {string} siteUrl The property.
+ * @param {string} type The search type.
+ * @returns {string}
+ */
+function snapshotDir(siteUrl, type) {
+  return path.join(SNAPSHOT_DIR, encodeURIComponent(siteUrl), type);
+}
+
+/**
+ * Returns today's date in Pacific Time, the time zone GSC reports in.
+ * @param {Date} [now=new Date()]
+ * @returns {string} YYYY-MM-DD.
+ */
+function pacificToday(now = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: 'America/Los_Angeles' }).format(now);
+}
+
+/**
+ * Tells whether a string is a real calendar date in YYYY-MM-DD format (so not 2024-13-01 or 2024-02-30).
+ * @param {string} date
+ * @returns {boolean}
+ */
+function isValidDate(date) {
+  if (!DATE_PATTERN.test(date || '')) return false;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === date;
+}
+
+/**
+ * Shifts a date by a number of days.
+ * @param {string} date YYYY-MM-DD.
+ * @param {number} days Days to add (negative to subtract).
+ * @returns {string} YYYY-MM-DD.
+ */
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Lists every date from startDate to endDate, inclusive.
+ * @param {string} startDate YYYY-MM-DD.
+ * @param {string} endDate YYYY-MM-DD.
+ * @returns {Array<string>}
+ * @throws {GscValidationError} If the range is malformed.
+ */
+function eachDay(startDate, endDate) {
+  if (!isValidDate(startDate) || !isValidDate(endDate) || endDate < startDate) {
+    throw new GscValidationError(`Invalid date range ${startDate}..${endDate}.`);
+  }
+  const days = [];
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) days.push(date);
+  return days;
+}
+
+/**
+ * Tests one stored row against dimensionFilterGroups (every filter of every group must match).
+ * @param {Object} row A stored row.
+ * @param {Array<Object>} groups Filter groups in the searchanalytics.query format.
+ * @returns {boolean}
+ */
+function matchesFilters(row, groups) {
+  return groups.every((group) => group.filters.every((filter) => {
+    const value = row[filter.dimension] || '';
+    switch (filter.operator || 'equals') {
+      case 'equals': return value === filter.expression;
+      case 'notEquals': return value !== filter.expression;
+      case 'contains': return value.includes(filter.expression);
+      case 'notContains': return !value.includes(filter.expression);
+      case 'includingRegex': return filter.regex.test(value);
+      case 'excludingRegex': return !filter.regex.test(value);
+      default: return false;
+    }
+  }));
+}
+
+// --- Snapshotting ---
+
+/**
+ * Lists the days stored for a site.
+ * @param {string} siteUrl The property.
+ * @param {Object} [options] Optional parameters.
+ * @param {string} [options.type='web'] The search type.
+ * @returns {Array<string>} Stored dates (YYYY-MM-DD), oldest first.
+ */
+function listSnapshotDays(siteUrl, options = {}) {
+  if (!siteUrl) throw new GscValidationError("siteUrl parameter is required for listSnapshotDays.");
+  let files;
+  try {
+    files = fs.readdirSync(snapshotDir(siteUrl, options.type || 'web'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  return files
+    .filter((file) => file.endsWith('.jsonl'))
+    .map((file) => file.slice(0, -'.jsonl'.length))
+    .filter((date) => DATE_PATTERN.test(date))
+    .sort();
+}
+
+/**
+ * Pulls one day of query x page x country x device rows for a site and stores it, replacing
+ * any earlier snapshot of that day. Rows are streamed page by page to a temporary file that is
+ * renamed into place only when complete.
+ * @param {string} siteUrl The property.
+ * @param {string} date The day (YYYY-MM-DD).
+ * @param {Object} [options] Optional parameters.
+ * @param {string} [options.type='web'] The search type.
+ * @param {string} [options.profile] Credential profile to use (routed by siteUrl by default).
+ * @returns {Promise<{siteUrl: string, date: string, type: string, rows: number}>}
+ */
+async function snapshotDay(siteUrl, date, options = {}) {
+  if (!siteUrl || !isValidDate(date)) {
+    throw new GscValidationError("siteUrl and a YYYY-MM-DD date are required for snapshotDay.");
+  }
+  const { type = 'web', profile } = options;
+  const dir = snapshotDir(siteUrl, type);
+  fs.mkdirSync(dir, { recursive: true });
+  const filePath = path.join(dir, `${date}.jsonl`);
+  const tmpPath = `${filePath}.tmp`;
+
+  const fd = fs.openSync(tmpPath, 'w');
+  let rows = 0;
+  try {
+    const pages = gscService.queryAnalyticsPages(siteUrl, date, date, SNAPSHOT_DIMENSIONS, { type, profile, cache: false });
+    for await (const page of pages) {
+      const lines = page.rows.map((row) => {
+        const [query, pageUrl, country, device] = row.keys;
+        return JSON.stringify({ query, page: pageUrl, country, device, clicks: row.clicks, impressions: row.impressions, position: row.position });
+      });
+      fs.writeSync(fd, `${lines.join('\n')}\n`);
+      rows += page.rows.length;
+    }
+    fs.closeSync(fd);
+  } catch (e) {
+    fs.closeSync(fd);
+    fs.rmSync(tmpPath, { force: true });
+    throw e;
+  }
+  fs.renameSync(tmpPath, filePath);
+  return { siteUrl, date, type, rows };
+}
+
+/**
+ * Snapshots every missing day within the backfill window for each site, oldest first
+ * (those are the days GSC will drop next). Days already stored are skipped, so runs are
+ * idempotent and an interrupted backfill resumes where it stopped.
+ * @param {Object} [options] Optional parameters.
+ * @param {Array<string>} [options.sites] Sites to snapshot. Defaults to GSC_SNAPSHOT_SITES (comma-separated),
+ *   else every verified site from listSites.
+ * @param {number} [options.days=486] Size of the backfill window, ending lagDays before today.
+ * @param {number} [options.lagDays=3] Most recent days to leave alone until GSC finalizes them.
+ * @param {number} [options.maxDaysPerRun=30] Days to fetch per site in this run.
+ * @param {string} [options.type='web'] The search type.
+ * @param {Date} [options.now=new Date()] The current time.
+ * @returns {Promise<Array<{siteUrl: string, snapshotted: Array<Object>, failed: Array<Object>, remaining: number}>>}
+ */
+async function backfillSnapshots(options = {}) {
+  const {
+    days = DEFAULT_BACKFILL_DAYS,
+    lagDays = DEFAULT_LAG_DAYS,
+    maxDaysPerRun = DEFAULT_MAX_DAYS_PER_RUN,
+    type = 'web',
+    now = new Date(),
+  } = options;
+
+  let sites = options.sites;
+  if (!sites && process.env.GSC_SNAPSHOT_SITES) {
+    sites = process.env.GSC_SNAPSHOT_SITES.split(',').map((site) => site.trim()).filter(Boolean);
+  }
+  if (!sites) {
+    sites = (await gscService.listSites())
+      .filter((site) => site.permissionLevel !== 'siteUnverifiedUser')
+      .map((site) => site.siteUrl);
+  }
+
+  const endDate = addDays(pacificToday(now), -lagDays);
+  const window = eachDay(addDays(endDate, -(days - 1)), endDate);
+  const results = [];
+  for (const siteUrl of sites) {
+    const stored = new Set(listSnapshotDays(siteUrl, { type }));
+    const missing = window.filter((date) => !stored.has(date));
+    const result = { siteUrl, snapshotted: [], failed: [], remaining: missing.length };
+    for (const date of missing.slice(0, maxDaysPerRun)) {
+      try {
+        result.snapshotted.push(await snapshotDay(siteUrl, date, { type }));
+        result.remaining--;
+      } catch (e) {
+        result.failed.push({ date, error: e.message });
+        // Further days would fail the same way until the token or quota recovers.
+        if (e instanceof GscAuthError || (e instanceof GscQuotaError && !e.retryable)) break;
+      }
+    }
+    console.log(`gscSnapshots: ${siteUrl}: stored ${result.snapshotted.length} day(s), ${result.failed.length} failed, ${result.remaining} still missing.`);
+    results.push(result);
+  }
+  return results;
+}
+
+/**
+ * Runs backfillSnapshots shortly after startup and then periodically. Overlapping runs are skipped,
+ * and the timers do not keep the process alive on their own. Runs are skipped while no profile has
+ * credentials, so the scheduler can start before the first token is stored through /oauth/callback.
+ * @param {Object} [options] backfillSnapshots options, plus:
+ * @param {number} [options.intervalMs] Time between runs (GSC_SNAPSHOT_INTERVAL_MS, default 6 hours).
+ * @param {number} [options.initialDelayMs=60000] Delay before the first run.
+ * @returns {{runNow: function(): Promise<Array<Object>>, stop: function(): void}}
+ */
+function startSnapshotScheduler(options = {}) {
+  const { intervalMs = DEFAULT_INTERVAL_MS, initialDelayMs = 60000, ...backfillOptions } = options;
+  let running = null;
+
+  const runNow = () => {
+    if (!running && !gscService.isAuthInitialized()) {
+      console.warn("gscSnapshots: Skipping the scheduled snapshot run: no GSC credentials yet. Authorize via /oauth/start.");
+      return Promise.resolve([]);
+    }
+    if (!running) {
+      running = backfillSnapshots(backfillOptions)
+        .catch((e) => {
+          console.error(`gscSnapshots: Scheduled snapshot run failed: ${e.message}`);
+          return [];
+        })
+        .finally(() => { running = null; });
+    }
+    return running;
+  };
+
+  const initialTimer = setTimeout(runNow, initialDelayMs);
+  const intervalTimer = setInterval(runNow, intervalMs);
+  initialTimer.unref();
+  intervalTimer.unref();
+  console.log(`gscSnapshots: Scheduler started; snapshots are stored in ${SNAPSHOT_DIR} every ${Math.round(intervalMs / 60000)} minute(s).`);
+
+  return {
+    runNow,
+    stop: () => {
+      clearTimeout(initialTimer);
+      clearInterval(intervalTimer);
+    },
+  };
+}
+
+// --- Query API ---
+
+/**
+ * Queries stored snapshots like queryAnalytics queries the live API: rows are grouped by the
+ * requested dimensions with clicks and impressions summed, CTR recomputed and position averaged
+ * weighted by impressions. Rows are sorted by clicks, then impressions, descending.
+ * @param {string} siteUrl The property.
+ * @param {string} startDate Start date in YYYY-MM-DD format.
+ * @param {string} endDate End date in YYYY-MM-DD format.
+ * @param {Array<string>} dimensions Any of date, query, page, country and device.
+ * @param {Object} [options] Optional parameters.
+ * @param {Array<Object>} [options.dimensionFilterGroups] Filter groups, as for queryAnalytics.
+ * @param {string} [options.filter] Filter expression (see gscFilterExpression.js).
+ * @param {string} [options.type='web'] The search type.
+ * @param {number} [options.rowLimit=1000] Maximum number of rows to return.
+ * @param {number} [options.startRow=0] Zero-based start row.
+ * @returns {Promise<{rows: Array<Object>, totalRows: number, source: string, coverage: Object}>} `coverage` reports
+ *   the stored and missing days in the range, since missing days silently lower the totals.
+ */
+async function querySnapshots(siteUrl, startDate, endDate, dimensions, options = {}) {
+  if (!siteUrl || !startDate || !endDate || !dimensions || dimensions.length === 0) {
+    throw new GscValidationError("siteUrl, startDate, endDate, and dimensions are required for querySnapshots.");
+  }
+  const unsupported = dimensions.filter((dimension) => !QUERYABLE_DIMENSIONS.includes(dimension));
+  if (unsupported.length > 0) {
+    throw new GscValidationError(`Snapshots do not store ${unsupported.join(', ')}; use ${QUERYABLE_DIMENSIONS.join(', ')}.`);
+  }
+  const { dimensionFilterGroups = [], filter, type = 'web', rowLimit = 1000, startRow = 0 } = options;
+
+  const groups = [...dimensionFilterGroups, ...(filter ? compileFilter(filter) : [])].map((group) => ({
+    ...group,
+    filters: group.filters.map((f) => {
+      if (!SNAPSHOT_DIMENSIONS.includes(f.dimension)) {
+        throw new GscValidationError(`Snapshots cannot be filtered by ${f.dimension}; use ${SNAPSHOT_DIMENSIONS.join(', ')}.`);
+      }
+      if (f.operator !== 'includingRegex' && f.operator !== 'excludingRegex') return f;
+      try {
+        return { ...f, regex: new RegExp(f.expression) };
+      } catch (e) {
+        throw new GscValidationError(`Invalid ${f.operator} filter on ${f.dimension}: ${e.message}`);
+      }
+    }),
+  }));
+
+  const requestedDays = eachDay(startDate, endDate);
+  const stored = new Set(listSnapshotDays(siteUrl, { type }));
+  const availableDays = requestedDays.filter((date) => stored.has(date));
+  const dir = snapshotDir(siteUrl, type);
+
+  const aggregates = new Map(); // JSON-encoded keys -> { keys, clicks, impressions, weightedPosition }
+  for (const date of availableDays) {
+    const lines = readline.createInterface({ input: fs.createReadStream(path.join(dir, `${date}.jsonl`)), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line) continue;
+      const row = JSON.parse(line);
+      row.date = date;
+      if (!matchesFilters(row, groups)) continue;
+
+      const keys = dimensions.map((dimension) => row[dimension]);
+      const id = JSON.stringify(keys);
+      let aggregate = aggregates.get(id);
+      if (!aggregate) {
+        aggregate = { keys, clicks: 0, impressions: 0, weightedPosition: 0 };
+        aggregates.set(id, aggregate);
+      }
+      aggregate.clicks += row.clicks;
+      aggregate.impressions += row.impressions;
+      aggregate.weightedPosition += row.position * row.impressions;
+    }
+  }
+
+  const rows = [...aggregates.values()]
+    .sort((a, b) => b.clicks - a.clicks || b.impressions - a.impressions)
+    .map(({ keys, clicks, impressions, weightedPosition }) => ({
+      keys,
+      clicks,
+      impressions,
+      ctr: impressions > 0 ? clicks / impressions : 0,
+      position: impressions > 0 ? weightedPosition / impressions : 0,
+    }));
+
+  const missingDays = requestedDays.filter((date) => !stored.has(date));
+  return {
+    rows: rows.slice(startRow, startRow + rowLimit),
+    totalRows: rows.length,
+    source: 'snapshots',
+    coverage: {
+      daysRequested: requestedDays.length,
+      daysAvailable: availableDays.length,
+      missingDays,
+    },
+  };
+}
+
+// --- Module Exports ---
+module.exports = {
+  SNAPSHOT_DIR,
+  SNAPSHOT_DIMENSIONS,
+  listSnapshotDays,
+  snapshotDay,
+  backfillSnapshots,
+  startSnapshotScheduler,
+  querySnapshots,
+};
@@ -0,0 +1,315 @@
+/**
+ * mcpConfig.js
+ *
+ * Declared schema for the environment variables the connector reads, grouped by integration.
+ * start-mcp.js uses it to log what is configured (with secrets redacted) and to validate
+ * everything up front with `node start-mcp.js --check`.
+ */
+const crypto = require('node:crypto');
+
+const REDACTED = '[REDACTED]';
+
+// --- Validators ---
+// Each returns an error message, or undefined when the value is acceptable.
+
+/**
+ * @param {string} value
+ * @returns {string|undefined}
+ */
+function validateUrl(value) {
+  try {
+    new URL(value);
+    return undefined;
+  } catch (e) {
+    return 'must be an absolute URL';
+  }
+}
+
+/**
+ * @param {string} value
+ * @returns {string|undefined}
+ */
+function validatePositiveInteger(value) {
+  return /^[1-9]\d*$/.test(value) ? undefined : 'must be a positive integer';
+}
+
+/**
+ * @param {string} value
+ * @returns {string|undefined}
+ */
+function validateNonNegativeInteger(value) {
+  return /^\d+$/.test(value) ? undefined : 'must be a non-negative integer';
+}
+
+/**
+ * @param {string} value
+ * @returns {string|undefined}
+ */
+function validateBoolean(value) {
+  return ['true', 'false'].includes(value) ? undefined : "must be 'true' or 'false'";
+}
+
+/**
+ * @param {string} value
+ * @returns {string|undefined}
+ */
+function validateEmail(value) {
+  return /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(value) ? undefined : 'must be an email address';
+}
+
+/**
+ * @param {string} value
+ * @returns {string|undefined}
+ */
+function validateJson(value) {
+  try {
+    JSON.parse(value);
+    return undefined;
+  } catch (e) {
+    return `must be valid JSON (${e.message})`;
+  }
+}
+
+/**
+ * Decodes a Base64-encoded PEM private key.
+ * @param {string} value The Base64 text.
+ * @returns {string} The PEM.
+ * @throws {Error} If the value is not Base64 or does not decode to a usable PEM private key.
+ */
+function decodePrivateKey(value) {
+  if (!/^[A-Za-z0-9+/=\s]+$/.test(value)) throw new Error('is not valid Base64');
+  const pem = Buffer.from(value, 'base64').toString('utf-8');
+  if (!/-----BEGIN [A-Z ]*PRIVATE KEY-----/.test(pem)) throw new Error('does not decode to a PEM private key');
+  try {
+    crypto.createPrivateKey(pem);
+  } catch (e) {
+    throw new Error(`decodes to a PEM that cannot be parsed as a private key (${e.message})`);
+  }
+  return pem;
+}
+
+/**
+ * @param {string} value
+ * @returns {string|undefined}
+ */
+function validatePrivateKeyBase64(value) {
+  try {
+    decodePrivateKey(value);
+    return undefined;
+  } catch (e) {
+    return e.message;
+  }
+}
+
+// --- Schema ---
+
+/**
+ * Integrations and the variables they read. `required` variables must all be set for the integration
+ * to be enabled; `secret` values are never logged; `setting` variables only tune an integration, so
+ * setting them alone does not count as configuring it. `check` reports problems that span variables.
+ */
+const CONFIG_SCHEMA = [
+  {
+    name: 'wrapper',
+    description: 'HTTP server and MCP process supervisor',
+    alwaysEnabled: true,
+    fields: [
+      { env: 'PORT', validate: validatePositiveInteger },
+      { env: 'MCP_AUTH_TOKEN', secret: true },
+      { env: 'MCP_STATUS_FILE' },
+      { env: 'MCP_MAX_RESTARTS', validate: validatePositiveInteger },
+      { env: 'MCP_RESTART_WINDOW_MS', validate: validatePositiveInteger },
+      { env: 'MCP_RESTART_BASE_DELAY_MS', validate: validatePositiveInteger },
+      { env: 'MCP_RESTART_MAX_DELAY_MS', validate: validatePositiveInteger },
+      { env: 'MCP_SHUTDOWN_TIMEOUT_MS', validate: validatePositiveInteger },
+    ],
+  },
+  {
+    name: 'gsc',
+    description: 'Google Search Console (OAuth)',
+    fields: [
+      // The client settings may instead come from each profile in GSC_PROFILES; see the check below.
+      { env: 'GSC_OAUTH_CLIENT_ID' },
+      { env: 'GSC_OAUTH_CLIENT_SECRET', secret: true },
+      { env: 'GSC_OAUTH_REDIRECT_URI', validate: validateUrl },
+      { env: 'GSC_OAUTH_REFRESH_TOKEN', secret: true },
+      { env: 'GSC_PROFILES', secret: true, validate: validateJson },
+      { env: 'GSC_PROFILES_FILE' },
+      { env: 'GSC_CREDENTIALS_FILE', setting: true },
+      { env: 'GSC_CACHE_FILE', setting: true },
+      { env: 'GSC_CACHE_MAX_BYTES', setting: true, validate: validatePositiveInteger },
+      { env: 'GSC_METRICS_DIR', setting: true },
+      { env: 'GSC_SNAPSHOTS_ENABLED', setting: true, validate: validateBoolean },
+      { env: 'GSC_SNAPSHOT_DIR', setting: true },
+      { env: 'GSC_SNAPSHOT_SITES', setting: true },
+      { env: 'GSC_SNAPSHOT_INTERVAL_MS', setting: true, validate: validatePositiveInteger },
+      { env: 'GSC_SNAPSHOT_BACKFILL_DAYS', setting: true, validate: validatePositiveInteger },
+      // Write policy (see gscPolicy.js).
+      { env: 'GSC_READ_ONLY', setting: true, validate: validateBoolean },
+      { env: 'GSC_WRITE_ALLOWLIST', setting: true },
+      { env: 'GSC_REQUIRE_CONFIRMATION', setting: true, validate: validateBoolean },
+      { env: 'GSC_AUDIT_LOG', setting: true },
+      // Alternative API endpoints, e.g. the offline stand-in used by the tests.
+      { env: 'GSC_API_ROOT_URL', setting: true, validate: validateUrl },
+      { env: 'GSC_OAUTH_TOKEN_URL', setting: true, validate: validateUrl },
+      { env: 'GSC_MAX_RETRIES', setting: true, validate: validateNonNegativeInteger },
+    ],
+    check: (env) => {
+      const problems = [];
+      let profiles;
+      try {
+        profiles = require('./gscProfiles.js').loadProfileConfigs(env);
+      } catch (e) {
+        return [e.message];
+      }
+      if (profiles.size === 0) {
+        problems.push('GSC_OAUTH_CLIENT_ID is not set and GSC_PROFILES defines no profiles');
+      }
+      for (const profile of profiles.values()) {
+        const missing = ['clientId', 'clientSecret', 'redirectUri'].filter((key) => !profile[key]);
+        if (missing.length > 0) {
+          problems.push(`profile "${profile.name}" is missing ${missing.join(', ')} (set them in the profile or via GSC_OAUTH_*)`);
+        } else if (validateUrl(profile.redirectUri)) {
+          problems.push(`profile "${profile.name}" redirectUri ${validateUrl(profile.redirectUri)}`);
+        }
+      }
+      const stored = require('./gscCredentialStore.js').listStoredProfiles();
+      const hasToken = env.GSC_OAUTH_REFRESH_TOKEN || stored.length > 0
+        || [...profiles.values()].some((profile) => profile.refreshToken);
+      if (!hasToken) problems.push('no refresh token: set GSC_OAUTH_REFRESH_TOKEN or authorize via /oauth/start');
+      try {
+        require.resolve('googleapis');
+      } catch (e) {
+        problems.push("the 'googleapis' module is not installed (`npm install googleapis`)");
+      }
+      return problems;
+    },
+  },
+  {
+    name: 'googleAnalytics',
+    description: 'Google Analytics (service account)',
+    fields: [
+      { env: 'GOOGLE_PRIVATE_KEY_BASE64', required: true, secret: true, validate: validatePrivateKeyBase64 },
+      { env: 'GOOGLE_CLIENT_EMAIL', required: true, secret: true, validate: validateEmail },
+      { env: 'GA_PROPERTY_ID', required: true, validate: validatePositiveInteger },
+    ],
+  },
+  {
+    name: 'dataForSeo',
+    description: 'DataForSEO',
+    fields: [
+      { env: 'DATAFORSEO_USERNAME', required: true, secret: true },
+      { env: 'DATAFORSEO_PASSWORD', required: true, secret: true },
+    ],
+  },
+  {
+    name: 'firecrawl',
+    description: 'Firecrawl',
+    fields: [
+      { env: 'FIRECRAWL_API_KEY', required: true, secret: true },
+    ],
+  },
+];
+
+// --- Evaluation ---
+
+/**
+ * Reads an integer setting for a module that loads it at startup. An invalid value is logged and
+ * replaced by the default, with the same rule `--check` reports it by, so that a typo cannot turn
+ * a limit or delay into NaN.
+ * @param {string} name The environment variable.
+ * @param {number} fallback The default, used when the variable is unset or invalid.
+ * @param {Object} [options] Optional parameters.
+ * @param {boolean} [options.allowZero=false] Accept 0 as well as positive integers.
+ * @param {Object} [options.env=process.env] The environment to read.
+ * @returns {number}
+ */
+function integerFromEnv(name, fallback, { allowZero = false, env = process.env } = {}) {
+  const value = env[name];
+  if (value === undefined || value === '') return fallback;
+  const error = (allowZero ? validateNonNegativeInteger : validatePositiveInteger)(value);
+  if (!error) return Number(value);
+  console.warn(`mcpConfig: Ignoring ${name}="${value}", which ${error}; using ${fallback}.`);
+  return fallback;
+}
+
+/**
+ * Returns a value as it may appear in logs and diagnostics.
+ * @param {{secret: boolean}} field The schema field.
+ * @param {string|undefined} value The raw value.
+ * @returns {string} 'NOT SET', the redaction marker for secrets, or the value itself.
+ */
+function redact(field, value) {
+  if (value === undefined || value === '') return 'NOT SET';
+  return field.secret ? REDACTED : value;
+}
+
+/**
+ * Evaluates every integration against the environment.
+ * An integration is `enabled` when all required variables are set and every check passes,
+ * `disabled` when none of its variables are set, and `partial` otherwise.
+ * @param {Object} [env=process.env] The environment to evaluate.
+ * @returns {{ok: boolean, integrations: Array<{name: string, description: string, status: string, values: Object, problems: Array<string>}>}}
+ *   `values` maps each variable to its redacted display value. `ok` is false if any integration is partial.
+ */
+function evaluateConfig(env = process.env) {
+  const integrations = CONFIG_SCHEMA.map((integration) => {
+    const problems = [];
+    const values = {};
+    let anySet = false;
+    for (const field of integration.fields) {
+      const value = env[field.env];
+      values[field.env] = redact(field, value);
+      if (value === undefined || value === '') {
+        if (field.required) problems.push(`${field.env} is not set`);
+        continue;
+      }
+      anySet = anySet || !field.setting;
+      const error = field.validate && field.validate(value);
+      if (error) problems.push(`${field.env} ${error}`);
+    }
+
+    let status;
+    if (!anySet && !integration.alwaysEnabled) {
+      status = 'disabled';
+      problems.length = 0; // Nothing configured is a deliberate choice, not a problem
+    } else {
+      if (integration.check && problems.length === 0) problems.push(...integration.check(env));
+      status = problems.length === 0 ? 'enabled' : 'partial';
+    }
+    return { name: integration.name, description: integration.description, status, values, problems };
+  });
+  return { ok: integrations.every((integration) => integration.status !== 'partial'), integrations };
+}
+
+/**
+ * Formats an evaluation as log lines: one summary line per integration, then its variables and problems.
+ * Optional variables that are not set are left out.
+ * @param {{integrations: Array<Object>}} report The result of evaluateConfig.
+ * @returns {Array<string>}
+ */
+function formatConfigReport(report) {
+  const lines = [];
+  for (const integration of report.integrations) {
+    lines.push(`${integration.description} [${integration.name}]: ${integration.status.toUpperCase()}`);
+    if (integration.status === 'disabled') continue;
+    const fields = CONFIG_SCHEMA.find((entry) => entry.name === integration.name).fields;
+    for (const field of fields) {
+      const value = integration.values[field.env];
+      if (field.required || value !== 'NOT SET') lines.push(`  ${field.env}: ${value}`);
+    }
+    for (const problem of integration.problems) lines.push(`  PROBLEM: ${problem}`);
+  }
+  return lines;
+}
+
+// --- Module Exports ---
+module.exports = {
+  CONFIG_SCHEMA,
+  REDACTED,
+  decodePrivateKey,
+  evaluateConfig,
+  formatConfigReport,
+  integerFromEnv,
+  redact,
+};
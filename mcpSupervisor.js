@@ -0,0 +1,220 @@
+/**
+ * mcpSupervisor.js
+ *
+ * Keeps the MCP child process (npx @typingmind/mcp) running for start-mcp.js: restarts it with
+ * exponential backoff when it exits, gives up after too many restarts in a short window (a crash
+ * loop), and forwards SIGTERM/SIGINT so the platform can shut it down gracefully.
+ *
+ * The supervisor's state (restart history, last exit code) is written to MCP_STATUS_FILE so the
+ * HTTP server in my-simple-server.js, which runs as a separate process, can report it.
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const { spawn } = require('node:child_process');
+const { integerFromEnv } = require('./mcpConfig.js');
+const { isProcessAlive, writeFileAtomic } = require('./stateFiles.js');
+
+const STATUS_FILE = process.env.MCP_STATUS_FILE || path.join(__dirname, '.mcp-status.json');
+const MAX_HISTORY = 20; // Restart history entries kept in the status
+
+const DEFAULT_OPTIONS = {
+  baseDelayMs: integerFromEnv('MCP_RESTART_BASE_DELAY_MS', 1000),
+  maxDelayMs: integerFromEnv('MCP_RESTART_MAX_DELAY_MS', 60000),
+  maxRestarts: integerFromEnv('MCP_MAX_RESTARTS', 5), // ...within crashWindowMs before giving up
+  crashWindowMs: integerFromEnv('MCP_RESTART_WINDOW_MS', 5 * 60 * 1000),
+  stableAfterMs: 30000, // A child that ran this long resets the backoff
+  shutdownTimeoutMs: integerFromEnv('MCP_SHUTDOWN_TIMEOUT_MS', 10000), // Before SIGKILL on shutdown
+};
+
+/**
+ * Writes the status file, logging rather than throwing on failure.
+ * @param {string} filePath Where to write.
+ * @param {Object} status The status to write.
+ */
+function writeStatusFile(filePath, status) {
+  try {
+    writeFileAtomic(filePath, JSON.stringify(status, null, 2));
+  } catch (e) {
+    console.error(`[MCP-SUPERVISOR] Could not write status to ${filePath}: ${e.message}`);
+  }
+}
+
+/**
+ * Reads the status last written by a supervisor, e.g. for a status endpoint.
+ * @param {string} [filePath] The status file (defaults to MCP_STATUS_FILE).
+ * @returns {Object|null} The status, with `stale: true` when the supervisor process is gone; null if none was written.
+ */
+function readSupervisorStatus(filePath = STATUS_FILE) {
+  let status;
+  try {
+    status = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    return null;
+  }
+  return { ...status, stale: !isProcessAlive(status.supervisorPid) };
+}
+
+/**
+ * Creates a supervisor for one child process.
+ * @param {Object} config Supervisor configuration.
+ * @param {string} config.command The command to run.
+ * @param {Array<string>} [config.args=[]] Its arguments.
+ * @param {Object} [config.env=process.env] Its environment.
+ * @param {string|null} [config.statusFile] Where to write the status (defaults to MCP_STATUS_FILE; null disables it).
+ * @param {function} [config.spawn] Replacement for child_process.spawn.
+ * @param {number} [config.baseDelayMs] First restart delay; doubled for each consecutive crash.
+ * @param {number} [config.maxDelayMs] Ceiling for the restart delay.
+ * @param {number} [config.maxRestarts] Restarts allowed within crashWindowMs before giving up.
+ * @param {number} [config.crashWindowMs] Window for the crash-loop limit.
+ * @param {number} [config.stableAfterMs] Uptime after which the backoff starts over.
+ * @param {number} [config.shutdownTimeoutMs] Grace period after forwarding a shutdown signal before SIGKILL.
+ * @param {function(number)} [config.onExit] Called with the supervisor's exit code once it stops for good.
+ * @returns {{start: function(): void, stop: function(string=): Promise<number>, getStatus: function(): Object}}
+ */
+function createSupervisor(config) {
+  const {
+    command,
+    args = [],
+    env = process.env,
+    statusFile = STATUS_FILE,
+    spawn: spawnChild = spawn,
+    onExit = () => {},
+    ...options
+  } = config;
+  const { baseDelayMs, maxDelayMs, maxRestarts, crashWindowMs, stableAfterMs, shutdownTimeoutMs } = { ...DEFAULT_OPTIONS, ...options };
+
+  let child = null;
+  let restartTimer = null;
+  let killTimer = null;
+  let consecutiveCrashes = 0;
+  let stopPromise = null;
+  let resolveStop = null;
+  const restartTimes = []; // Start times of restarts within the crash window
+  const status = {
+    supervisorPid: process.pid,
+    state: 'idle', // idle | running | backoff | stopping | stopped | crash-loop
+    command: [command, ...args].join(' '),
+    pid: null,
+    startedAt: null,
+    restarts: 0,
+    lastExitCode: null,
+    lastExitSignal: null,
+    nextRestartAt: null,
+    history: [],
+    updatedAt: null,
+  };
+
+  const update = (changes) => {
+    Object.assign(status, changes, { updatedAt: new Date().toISOString() });
+    if (statusFile) writeStatusFile(statusFile, status);
+  };
+
+  const finish = (code) => {
+    clearTimeout(restartTimer);
+    clearTimeout(killTimer);
+    if (resolveStop) resolveStop(code);
+    onExit(code);
+  };
+
+  /**
+   * Spawns the child and wires its exit into the restart policy.
+   */
+  function launch() {
+    restartTimer = null;
+    const startedAt = Date.now();
+    console.log(`[MCP-SUPERVISOR] Launching: ${status.command}`);
+    const current = spawnChild(command, args, { stdio: 'inherit', env: { ...env } });
+    child = current;
+    update({ state: 'running', pid: current.pid || null, startedAt: new Date(startedAt).toISOString(), nextRestartAt: null });
+
+    let exited = false;
+    const handleExit = (code, signal) => {
+      // A failed spawn can report both 'error' and 'close'; only the first counts.
+      if (exited) return;
+      exited = true;
+      child = null;
+      const exitedAt = Date.now();
+      const uptimeMs = exitedAt - startedAt;
+      const entry = { startedAt: new Date(startedAt).toISOString(), exitedAt: new Date(exitedAt).toISOString(), code, signal, uptimeMs };
+      const history = [...status.history, entry].slice(-MAX_HISTORY);
+
+      if (status.state === 'stopping') {
+        console.log(`[MCP-SUPERVISOR] Child exited during shutdown (code ${code}, signal ${signal}).`);
+        update({ state: 'stopped', pid: null, lastExitCode: code, lastExitSignal: signal, history });
+        // A child that had to be killed did not shut down cleanly.
+        finish(code !== null ? code : (signal === 'SIGKILL' ? 1 : 0));
+        return;
+      }
+
+      consecutiveCrashes = uptimeMs >= stableAfterMs ? 1 : consecutiveCrashes + 1;
+      while (restartTimes.length > 0 && restartTimes[0] <= exitedAt - crashWindowMs) restartTimes.shift();
+      if (restartTimes.length >= maxRestarts) {
+        console.error(`[MCP-SUPERVISOR] CRITICAL: Child exited (code ${code}, signal ${signal}) after ${restartTimes.length} restarts within ${crashWindowMs}ms. Crash loop detected; giving up.`);
+        update({ state: 'crash-loop', pid: null, lastExitCode: code, lastExitSignal: signal, history });
+        finish(code || 1);
+        return;
+      }
+
+      const delayMs = Math.min(maxDelayMs, baseDelayMs * 2 ** (consecutiveCrashes - 1));
+      entry.restartDelayMs = delayMs;
+      console.warn(`[MCP-SUPERVISOR] Child exited (code ${code}, signal ${signal}) after ${uptimeMs}ms; restarting in ${delayMs}ms.`);
+      restartTimes.push(exitedAt);
+      update({
+        state: 'backoff',
+        pid: null,
+        restarts: status.restarts + 1,
+        lastExitCode: code,
+        lastExitSignal: signal,
+        nextRestartAt: new Date(exitedAt + delayMs).toISOString(),
+        history,
+      });
+      restartTimer = setTimeout(launch, delayMs);
+    };
+
+    current.on('close', handleExit);
+    current.on('error', (err) => {
+      console.error('[MCP-SUPERVISOR] Failed to start or signal the child process:', err.message);
+      if (!current.pid) handleExit(null, null);
+    });
+  }
+
+  /**
+   * Stops supervising: cancels any pending restart and forwards the signal to the child,
+   * escalating to SIGKILL after shutdownTimeoutMs.
+   * @param {string} [signal='SIGTERM'] The signal to forward.
+   * @returns {Promise<number>} Resolves with the exit code once the child is gone.
+   */
+  function stop(signal = 'SIGTERM') {
+    if (stopPromise) return stopPromise;
+    if (status.state === 'crash-loop') return Promise.resolve(status.lastExitCode || 1);
+    stopPromise = new Promise((resolve) => { resolveStop = resolve; });
+    update({ state: 'stopping', nextRestartAt: null });
+
+    if (!child) {
+      update({ state: 'stopped' });
+      finish(0);
+      return stopPromise;
+    }
+    console.log(`[MCP-SUPERVISOR] Forwarding ${signal} to child ${child.pid}.`);
+    child.kill(signal);
+    const stuck = child;
+    killTimer = setTimeout(() => {
+      console.warn(`[MCP-SUPERVISOR] Child did not exit within ${shutdownTimeoutMs}ms; sending SIGKILL.`);
+      stuck.kill('SIGKILL');
+    }, shutdownTimeoutMs);
+    return stopPromise;
+  }
+
+  return {
+    start: launch,
+    stop,
+    getStatus: () => structuredClone(status),
+  };
+}
+
+// --- Module Exports ---
+module.exports = {
+  STATUS_FILE,
+  createSupervisor,
+  readSupervisorStatus,
+};
@@ -1,16 +1,206 @@
 const http = require('http');
+const crypto = require('crypto');
 const PORT = process.env.PORT || 8080; // Use Railway's port or default
 
-const server = http.createServer((req, res) => {
-  console.log(`[Simple Server] Received request: ${req.method} ${req.url} at ${new Date().toISOString()}`);
-  if (req.url === '/ping') {
+const MAX_FORM_BYTES = 4096;
+
+/**
+ * Checks the operator key against MCP_AUTH_TOKEN, so only the operator can (re)link the Google
+ * account used for GSC. The key comes from an `Authorization: Bearer` header or a POSTed form, never
+ * from the query string, which ends up in access logs. The flow is disabled when no token is configured.
+ * @param {http.IncomingMessage} req The request.
+ * @param {URLSearchParams} [form] The parsed form body of a POST.
+ * @returns {boolean}
+ */
+function isOperator(req, form) {
+  const expected = process.env.MCP_AUTH_TOKEN;
+  const bearer = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+  const provided = bearer ? bearer[1] : (form && form.get('key')) || '';
+  if (!expected || provided.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected));
+}
+
+/**
+ * Reads a small application/x-www-form-urlencoded request body.
+ * @param {http.IncomingMessage} req The request.
+ * @returns {Promise<URLSearchParams>}
+ * @throws {Error} If the body exceeds MAX_FORM_BYTES.
+ */
+async function readForm(req) {
+  let body = '';
+  for await (const chunk of req) {
+    body += chunk;
+    if (body.length > MAX_FORM_BYTES) throw new Error('Request body too large.');
+  }
+  return new URLSearchParams(body);
+}
+
+/**
+ * Escapes text for use in HTML attribute values and content.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * The form that lets the operator start the OAuth flow from a browser by POSTing the key.
+ * @param {string} profile The profile to pre-fill.
+ * @returns {string}
+ */
+function oauthStartForm(profile) {
+  return `<!DOCTYPE html>
+<html><head><title>Link a Google account for GSC</title></head><body>
+<form method="POST" action="/oauth/start">
+  <label>MCP_AUTH_TOKEN <input type="password" name="key" autocomplete="off" required></label>
+  <label>Profile <input type="text" name="profile" value="${escapeHtml(profile)}" placeholder="default"></label>
+  <button type="submit">Continue to Google</button>
+</form>
+</body></html>
+`;
+}
+
+/**
+ * Readiness checks: every GSC credential profile can refresh its OAuth token, and the supervisor
+ * in start-mcp.js reports the MCP child as running.
+ * @returns {Promise<{ready: boolean, checks: Object}>}
+ */
+async function checkReadiness() {
+  const checks = {};
+  try {
+    const profiles = await require('./gscService.js').verifyAuth();
+    checks.gscAuth = { ok: profiles.length > 0 && profiles.every((profile) => profile.ok), profiles };
+  } catch (error) {
+    checks.gscAuth = { ok: false, error: error.message };
+  }
+
+  const supervisor = require('./mcpSupervisor.js').readSupervisorStatus();
+  checks.mcpChild = supervisor
+    ? { ok: supervisor.state === 'running' && !supervisor.stale, state: supervisor.state, stale: supervisor.stale, pid: supervisor.pid }
+    : { ok: false, error: 'No supervisor status found; is start-mcp.js running?' };
+
+  return { ready: Object.values(checks).every((check) => check.ok), checks };
+}
+
+/**
+ * Metric lines describing the MCP child, from the supervisor status written by start-mcp.js.
+ * @returns {Array<string>}
+ */
+function supervisorMetricLines() {
+  const supervisor = require('./mcpSupervisor.js').readSupervisorStatus();
+  const running = Boolean(supervisor && supervisor.state === 'running' && !supervisor.stale);
+  const lines = [
+    '# HELP mcp_child_up Whether the supervised MCP child process is running.',
+    '# TYPE mcp_child_up gauge',
+    `mcp_child_up ${running ? 1 : 0}`,
+  ];
+  if (supervisor) {
+    lines.push('# HELP mcp_child_restarts_total Restarts of the MCP child by the supervisor.');
+    lines.push('# TYPE mcp_child_restarts_total counter');
+    lines.push(`mcp_child_restarts_total ${supervisor.restarts}`);
+    if (supervisor.lastExitCode !== null) {
+      lines.push('# HELP mcp_child_last_exit_code Exit code of the last MCP child exit.');
+      lines.push('# TYPE mcp_child_last_exit_code gauge');
+      lines.push(`mcp_child_last_exit_code ${supervisor.lastExitCode}`);
+    }
+  }
+  return lines;
+}
+
+const server = http.createServer(async (req, res) => {
+  let pathname;
+  let searchParams;
+  try {
+    ({ pathname, searchParams } = new URL(req.url, 'http://localhost'));
+  } catch (error) {
+    // e.g. an absolute-form target like `http://[`; the handler is async, so a throw here would be unhandled.
+    res.writeHead(400, { 'Content-Type': 'text/plain' });
+    res.end('Bad Request');
+    console.warn(`[Simple Server] Responded 400 to a ${req.method} request with a malformed target.`);
+    return;
+  }
+  // Only the path is logged: query strings can carry OAuth codes and states.
+  console.log(`[Simple Server] Received request: ${req.method} ${pathname} at ${new Date().toISOString()}`);
+
+  if (pathname === '/ping') {
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({ message: 'Hello from simple server!', status: 'ok' }));
     console.log('[Simple Server] Responded to /ping successfully.');
+  } else if (pathname === '/healthz') {
+    // Liveness only: answering at all means the process is up.
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) }));
+  } else if (pathname === '/readyz') {
+    const { ready, checks } = await checkReadiness();
+    res.writeHead(ready ? 200 : 503, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ status: ready ? 'ready' : 'not ready', checks }));
+    if (!ready) console.warn(`[Simple Server] /readyz reported not ready: ${JSON.stringify(checks)}`);
+  } else if (pathname === '/metrics') {
+    // GSC calls are made by the MCP child and the snapshot scheduler; gscMetrics.js sums their metric files.
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(require('./gscMetrics.js').renderPrometheus(supervisorMetricLines()));
+  } else if (pathname === '/status') {
+    // Written by the supervisor in start-mcp.js (see mcpSupervisor.js).
+    const supervisor = require('./mcpSupervisor.js').readSupervisorStatus();
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ status: 'ok', supervisor }));
+    console.log('[Simple Server] Responded to /status successfully.');
+  } else if (pathname === '/oauth/start') {
+    let form;
+    if (req.method === 'POST') {
+      try {
+        form = await readForm(req);
+      } catch (error) {
+        res.writeHead(413, { 'Content-Type': 'text/plain' });
+        res.end(error.message);
+        return;
+      }
+    } else if (!req.headers.authorization) {
+      // A browser cannot send the key in a header, so it gets a form that POSTs it.
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(oauthStartForm(searchParams.get('profile') || ''));
+      return;
+    }
+    if (!isOperator(req, form)) {
+      res.writeHead(403, { 'Content-Type': 'text/plain' });
+      res.end('Forbidden: POST the key (MCP_AUTH_TOKEN) with the form at /oauth/start, or send it as "Authorization: Bearer <MCP_AUTH_TOKEN>", to start the GSC OAuth flow.');
+      console.warn('[Simple Server] Rejected /oauth/start without a valid key.');
+      return;
+    }
+    try {
+      const profile = (form && form.get('profile')) || searchParams.get('profile') || undefined;
+      const { url } = require('./gscOAuthFlow.js').startAuthorization(profile);
+      res.writeHead(302, { Location: url });
+      res.end();
+      console.log('[Simple Server] Redirected to the Google consent screen.');
+    } catch (error) {
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end(`Could not start the OAuth flow: ${error.message}`);
+      console.error('[Simple Server] /oauth/start failed:', error.message);
+    }
+  } else if (pathname === '/oauth/callback') {
+    if (searchParams.get('error')) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end(`Authorization was not granted: ${searchParams.get('error')}`);
+      console.warn(`[Simple Server] OAuth consent denied: ${searchParams.get('error')}`);
+      return;
+    }
+    try {
+      const { profile, obtainedAt } = await require('./gscOAuthFlow.js')
+        .completeAuthorization(searchParams.get('code'), searchParams.get('state'));
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end(`GSC authorization complete. A new refresh token for profile "${profile}" was stored at ${obtainedAt} and will be used on the next GSC call.`);
+      console.log(`[Simple Server] Stored a new GSC refresh token for profile "${profile}" from /oauth/callback.`);
+    } catch (error) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end(`GSC authorization failed: ${error.message}`);
+      console.error('[Simple Server] /oauth/callback failed:', error.message);
+    }
   } else {
     res.writeHead(404, { 'Content-Type': 'text/plain' });
     res.end('Not Found');
-    console.log(`[Simple Server] Responded 404 to ${req.url}`);
+    console.log(`[Simple Server] Responded 404 to ${pathname}`);
   }
 });
 
@@ -2,7 +2,18 @@
 const fs = require('node:fs');        // Still needed for GA service account if used for GA
 const path = require('node:path');    // Still needed for GA service account if used for GA
 const os = require('node:os');        // Still needed for GA service account if used for GA
-const { spawn } = require('node:child_process');
+const { createSupervisor } = require('./mcpSupervisor.js');
+const { decodePrivateKey, evaluateConfig, formatConfigReport } = require('./mcpConfig.js');
+
+// --- Configuration Check Mode ---
+// `node start-mcp.js --check` validates the configuration (see mcpConfig.js) and exits before
+// anything is loaded or spawned: 0 when every configured integration is complete, 1 otherwise.
+if (process.argv.includes('--check')) {
+    const report = evaluateConfig();
+    for (const line of formatConfigReport(report)) console.log(`[MCP-WRAPPER-CHECK] ${line}`);
+    console.log(`[MCP-WRAPPER-CHECK] Configuration ${report.ok ? 'OK' : 'INVALID: fix the problems above'}.`);
+    process.exit(report.ok ? 0 : 1);
+}
 
 // --- GSC OAuth Initialization Attempt ---
 // This section attempts to load and use your gscService.js for GSC OAuth.
@@ -12,8 +23,14 @@ const { spawn } = require('node:child_process');
 let gscService; // Will hold the loaded gscService module
 let gscServiceAuthInitialized = false; // Flag to track if your gscService.js successfully inits OAuth
 
-if (process.env.GSC_OAUTH_REFRESH_TOKEN) {
-    console.log('[MCP-WRAPPER-GSC_OAUTH] GSC_OAUTH_REFRESH_TOKEN is set. Attempting to use OAuth for GSC via gscService.js.');
+// A refresh token minted through /oauth/start lives in the credential store rather than the environment,
+// and additional Google accounts may be configured as credential profiles (GSC_PROFILES / GSC_PROFILES_FILE).
+const hasStoredRefreshToken = require('./gscCredentialStore.js').listStoredProfiles().length > 0;
+const hasProfileConfig = Boolean(process.env.GSC_PROFILES || process.env.GSC_PROFILES_FILE);
+
+if (process.env.GSC_OAUTH_REFRESH_TOKEN || hasStoredRefreshToken || hasProfileConfig) {
+    const tokenSource = process.env.GSC_OAUTH_REFRESH_TOKEN ? 'GSC_OAUTH_REFRESH_TOKEN' : (hasStoredRefreshToken ? 'credential store' : 'credential profiles');
+    console.log(`[MCP-WRAPPER-GSC_OAUTH] GSC credentials found (${tokenSource}). Attempting to use OAuth for GSC via gscService.js.`);
     try {
         gscService = require('./gscService.js'); // Ensure gscService.js is in the same directory or correct path
 
@@ -40,7 +57,7 @@ if (process.env.GSC_OAUTH_REFRESH_TOKEN) {
         // gscServiceAuthInitialized remains false
     }
 } else {
-    console.log('[MCP-WRAPPER-GSC] GSC_OAUTH_REFRESH_TOKEN is NOT set. GSC will not be configured for OAuth by the wrapper.');
+    console.log('[MCP-WRAPPER-GSC] GSC_OAUTH_REFRESH_TOKEN is NOT set, no token is stored and no profiles are configured. GSC will not be configured for OAuth by the wrapper. Authorize via /oauth/start.');
     // In "OAuth or nothing", we don't set up Service Account for GSC here.
 }
 
@@ -58,10 +75,10 @@ function prepareEnvironmentAndLaunch() {
     // --- 2. Google Analytics Service Account Credentials (Assumed to be separate from GSC) ---
     if (process.env.GOOGLE_PRIVATE_KEY_BASE64) { // Expects GOOGLE_PRIVATE_KEY_BASE64 in Heroku for GA
         try {
-            process.env.GOOGLE_PRIVATE_KEY = Buffer.from(process.env.GOOGLE_PRIVATE_KEY_BASE64, 'base64').toString('utf-8');
+            process.env.GOOGLE_PRIVATE_KEY = decodePrivateKey(process.env.GOOGLE_PRIVATE_KEY_BASE64);
             console.log('[MCP-WRAPPER-GA] GOOGLE_PRIVATE_KEY (for GA) decoded from Base64 and set.');
         } catch (error) {
-            console.error('[MCP-WRAPPER-GA] CRITICAL: Failed to decode GOOGLE_PRIVATE_KEY_BASE64 for GA:', error);
+            console.error(`[MCP-WRAPPER-GA] CRITICAL: GOOGLE_PRIVATE_KEY_BASE64 for GA ${error.message}.`);
         }
     }
     // Other GA vars like GOOGLE_CLIENT_EMAIL and GA_PROPERTY_ID are assumed to be directly in Heroku env.
@@ -69,24 +86,12 @@ function prepareEnvironmentAndLaunch() {
     // Other essential environment variables (DATAFORSEO_USERNAME, DATAFORSEO_PASSWORD, FIRECRAWL_API_KEY)
     // are assumed to be set in Heroku with these exact names and will be passed through via process.env.
 
-    // --- Log final state of key env vars before spawning @typingmind/mcp ---
-    console.log('[MCP-WRAPPER_PRE_SPAWN_ENV] Verifying key environment variables before spawning @typingmind/mcp:');
-    // GSC OAuth Vars (read directly from Heroku's process.env by child processes if mcp-server-gsc uses them)
-    console.log(`[MCP-WRAPPER_PRE_SPAWN_ENV]   GSC_OAUTH_CLIENT_ID: ${(process.env.GSC_OAUTH_CLIENT_ID ? 'SET' : 'NOT SET')}`);
-    console.log(`[MCP-WRAPPER_PRE_SPAWN_ENV]   GSC_OAUTH_CLIENT_SECRET: ${(process.env.GSC_OAUTH_CLIENT_SECRET ? 'SET (value hidden)' : 'NOT SET')}`);
-    console.log(`[MCP-WRAPPER_PRE_SPAWN_ENV]   GSC_OAUTH_REFRESH_TOKEN: ${(process.env.GSC_OAUTH_REFRESH_TOKEN ? 'SET (value hidden)' : 'NOT SET')}`);
-    console.log(`[MCP-WRAPPER_PRE_SPAWN_ENV]   GSC_OAUTH_REDIRECT_URI: ${process.env.GSC_OAUTH_REDIRECT_URI || 'NOT SET'}`);
+    // --- Log final state of the configuration before spawning @typingmind/mcp ---
+    // Values are redacted per the schema in mcpConfig.js; run `node start-mcp.js --check` for a strict validation.
+    console.log('[MCP-WRAPPER_PRE_SPAWN_ENV] Configuration before spawning @typingmind/mcp:');
+    for (const line of formatConfigReport(evaluateConfig())) console.log(`[MCP-WRAPPER_PRE_SPAWN_ENV]   ${line}`);
     console.log(`[MCP-WRAPPER_PRE_SPAWN_ENV]   gscServiceAuthInitialized (by wrapper): ${gscServiceAuthInitialized}`);
-    // GSC Service Account (explicitly NOT set by this script for GSC)
-    console.log(`[MCP-WRAPPER_PRE_SPAWN_ENV]   GOOGLE_APPLICATION_CREDENTIALS (for GSC): ${process.env.GOOGLE_APPLICATION_CREDENTIALS || 'NOT SET (as intended for GSC OAuth or no GSC auth)'}`);
-    // GA Vars
-    console.log(`[MCP-WRAPPER_PRE_SPAWN_ENV]   GOOGLE_PRIVATE_KEY (for GA): ${(process.env.GOOGLE_PRIVATE_KEY ? 'SET (content hidden)' : 'NOT SET or decode failed')}`);
-    console.log(`[MCP-WRAPPER_PRE_SPAWN_ENV]   GOOGLE_CLIENT_EMAIL (for GA): ${process.env.GOOGLE_CLIENT_EMAIL || 'NOT SET'}`);
-    console.log(`[MCP-WRAPPER_PRE_SPAWN_ENV]   GA_PROPERTY_ID: ${process.env.GA_PROPERTY_ID || 'NOT SET'}`);
-    // Other Services
-    console.log(`[MCP-WRAPPER_PRE_SPAWN_ENV]   DATAFORSEO_USERNAME: ${process.env.DATAFORSEO_USERNAME || 'NOT SET'}`);
-    console.log(`[MCP-WRAPPER_PRE_SPAWN_ENV]   DATAFORSEO_PASSWORD: ${(process.env.DATAFORSEO_PASSWORD ? 'SET (value hidden)' : 'NOT SET')}`);
-    console.log(`[MCP-WRAPPER_PRE_SPAWN_ENV]   FIRECRAWL_API_KEY: ${(process.env.FIRECRAWL_API_KEY ? 'SET (value hidden)' : 'NOT SET')}`);
+    console.log(`[MCP-WRAPPER_PRE_SPAWN_ENV]   GOOGLE_APPLICATION_CREDENTIALS (for GSC): ${process.env.GOOGLE_APPLICATION_CREDENTIALS ? 'SET' : 'NOT SET (as intended for GSC OAuth or no GSC auth)'}`);
 
     // --- Launch @typingmind/mcp ---
     const command = 'npx';
@@ -94,19 +99,42 @@ function prepareEnvironmentAndLaunch() {
 
     console.log(`[MCP-WRAPPER] Launching @typingmind/mcp with command: ${command} ${args.join(' ')}`);
 
-    const mcpProcess = spawn(command, args, {
-        stdio: 'inherit',
-        env: { ...process.env } // Pass a shallow copy of the current, modified environment
+    // The supervisor restarts @typingmind/mcp when it crashes (with backoff, up to a crash-loop limit)
+    // and records restart history and exit codes in MCP_STATUS_FILE for the status endpoint.
+    const supervisor = createSupervisor({
+        command,
+        args,
+        env: process.env, // Copied for each launch, so the child sees the environment prepared above
+        onExit: (code) => {
+            console.log(`[MCP-WRAPPER] Supervisor stopped (exit code ${code}). Wrapper script also exiting.`);
+            process.exit(code);
+        },
     });
 
-    mcpProcess.on('close', (code) => {
-        console.log(`[MCP-WRAPPER] @typingmind/mcp process exited with code ${code}. Wrapper script also exiting.`);
-        process.exit(code);
-    });
-    mcpProcess.on('error', (err) => {
-        console.error('[MCP-WRAPPER] Failed to start @typingmind/mcp process:', err);
-        process.exit(1);
-    });
+    // Forward shutdown signals so @typingmind/mcp can finish in-flight requests instead of being killed with the dyno.
+    for (const signal of ['SIGTERM', 'SIGINT']) {
+        process.on(signal, () => {
+            console.log(`[MCP-WRAPPER] Received ${signal}. Shutting down @typingmind/mcp gracefully.`);
+            supervisor.stop(signal);
+        });
+    }
+
+    supervisor.start();
+
+    // --- Search Analytics Snapshots ---
+    // The wrapper is the long-lived process, so it hosts the snapshot scheduler (see gscSnapshots.js).
+    // It starts even without credentials: each run checks for them, so a token stored later through
+    // /oauth/callback is picked up without a restart.
+    if (process.env.GSC_SNAPSHOTS_ENABLED === 'true') {
+        try {
+            require('./gscSnapshots.js').startSnapshotScheduler();
+            if (!gscServiceAuthInitialized) {
+                console.warn('[MCP-WRAPPER-GSC] GSC_SNAPSHOTS_ENABLED is set, but no GSC credentials are available yet. Snapshot runs are skipped until a token is stored via /oauth/start.');
+            }
+        } catch (error) {
+            console.error('[MCP-WRAPPER-GSC] Could not start the snapshot scheduler. Snapshots will not be taken. Error:', error.message);
+        }
+    }
 }
 
 // Run the preparation and launch
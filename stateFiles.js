@@ -0,0 +1,44 @@
+/**
+ * stateFiles.js
+ *
+ * Helpers for the small state files the connector's processes share (the supervisor status, the
+ * per-process metrics, the credential store and the response cache): atomic writes, and checking
+ * whether the process that wrote a file is still running.
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+
+/**
+ * Writes a file atomically, through a temporary file and a rename, so readers never see a partial file.
+ * Creates the parent directory if needed.
+ * @param {string} filePath Where to write.
+ * @param {string} data The contents.
+ * @param {Object} [options] Options for fs.writeFileSync, e.g. { mode: 0o600 }.
+ * @throws {Error} If the file cannot be written.
+ */
+function writeFileAtomic(filePath, data, options) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, data, options);
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Tells whether a process exists, e.g. to spot state files left behind by a process that has exited.
+ * @param {number} pid The process id.
+ * @returns {boolean}
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0); // Signal 0 only checks that the process exists
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM'; // It exists, but belongs to another user
+  }
+}
+
+// --- Module Exports ---
+module.exports = {
+  isProcessAlive,
+  writeFileAtomic,
+};
@@ -0,0 +1,426 @@
+/**
+ * test/fakeGscServer.js
+ *
+ * Offline stand-in for the Google Search Console API and Google's OAuth token endpoint, so
+ * gscService.js can be exercised end to end (through googleapis and gaxios) without credentials.
+ * Point gscService at it with GSC_API_ROOT_URL=<rootUrl> and GSC_OAUTH_TOKEN_URL=<tokenUrl>.
+ *
+ * Implemented: sites (list, get, add, delete), searchanalytics.query (aggregated from a table of
+ * daily facts, with filters and paging), urlInspection.index.inspect and sitemaps (list, get,
+ * submit, delete). Failures can be scripted per request with fail():
+ *
+ *   server.fail({ path: '/searchAnalytics/query' }, 'rateLimited', { times: 2 });
+ *   server.revokeRefreshToken('refresh-default'); // The token endpoint now answers invalid_grant
+ */
+const http = require('node:http');
+
+// --- Fixtures ---
+
+const DEFAULT_SITES = [
+  { siteUrl: 'https://www.example.com/', permissionLevel: 'siteOwner' },
+  { siteUrl: 'sc-domain:example.org', permissionLevel: 'siteFullUser' },
+];
+
+const DEFAULT_SITEMAPS = {
+  'https://www.example.com/': [
+    {
+      path: 'https://www.example.com/sitemap.xml',
+      lastSubmitted: '2026-09-01T10:00:00.000Z',
+      lastDownloaded: '2026-10-01T10:00:00.000Z',
+      isPending: false,
+      isSitemapsIndex: false,
+      type: 'sitemap',
+      warnings: '0',
+      errors: '0',
+      contents: [{ type: 'web', submitted: '4', indexed: '3' }],
+    },
+  ],
+};
+
+/**
+ * Builds one Search Analytics fact for https://www.example.com/.
+ * @returns {{date: string, query: string, page: string, country: string, device: string, clicks: number, impressions: number, position: number}}
+ */
+function fact(date, query, page, clicks, impressions, position, country = 'usa', device = 'DESKTOP') {
+  return { date, query, page: `https://www.example.com${page}`, country, device, clicks, impressions, position };
+}
+
+// Daily facts, one per date x query x page x country x device. September is the "previous"
+// period and October the "current" one in the report tests.
+const DEFAULT_FACTS = [
+  // "running shoes": two pages split the impressions (cannibalization).
+  fact('2026-10-01', 'running shoes', '/shoes', 50, 1000, 4.2),
+  fact('2026-10-01', 'running shoes', '/blog/best-shoes', 10, 800, 9.5),
+  fact('2026-10-01', 'running shoes', '/sale', 1, 50, 30),
+  // "trail boots": one dominant page.
+  fact('2026-10-01', 'trail boots', '/boots', 300, 1000, 1.2),
+  fact('2026-10-02', 'trail boots', '/boots', 20, 100, 1.4, 'gbr', 'MOBILE'),
+  // "shoe laces": a top position with a poor CTR (CTR opportunity).
+  fact('2026-10-02', 'shoe laces', '/laces', 2, 2000, 2.4),
+  // "wool socks": position 12 with many impressions (striking distance).
+  fact('2026-10-02', 'wool socks', '/socks', 5, 1500, 12.3, 'usa', 'MOBILE'),
+  // Previous period.
+  fact('2026-09-01', 'running shoes', '/shoes', 20, 900, 6.1),
+  fact('2026-09-01', 'trail boots', '/boots', 350, 1100, 1.1),
+  fact('2026-09-02', 'rain jacket', '/jackets', 40, 600, 3.5),
+];
+
+const DEFAULT_INSPECTIONS = {
+  'https://www.example.com/shoes': { verdict: 'PASS', coverageState: 'Submitted and indexed' },
+  'https://www.example.com/boots': { verdict: 'PASS', coverageState: 'Submitted and indexed' },
+  'https://www.example.com/sale': { verdict: 'NEUTRAL', coverageState: 'Crawled - currently not indexed' },
+};
+
+// --- Scripted Failures ---
+
+/**
+ * Builds the response for a named failure, shaped like the real Google error payloads.
+ * Retryable failures carry `Retry-After: 0` so retries in tests do not wait.
+ * @param {string} kind One of the keys below.
+ * @param {string} path The request path, quoted in messages.
+ * @returns {{status: number, headers: Object, body: Object}}
+ */
+function failureResponse(kind, path) {
+  const apiError = (code, status, message, reason) => ({
+    error: { code, message, status, errors: reason ? [{ reason, message, domain: 'global' }] : undefined },
+  });
+  switch (kind) {
+    case 'invalid_grant':
+      return { status: 400, headers: {}, body: { error: 'invalid_grant', error_description: 'Token has been expired or revoked.' } };
+    case 'unauthenticated':
+      return { status: 401, headers: {}, body: apiError(401, 'UNAUTHENTICATED', 'Request had invalid authentication credentials.') };
+    case 'forbidden':
+      return { status: 403, headers: {}, body: apiError(403, 'PERMISSION_DENIED', `User does not have sufficient permission for ${path}.`, 'forbidden') };
+    case 'notFound':
+      return { status: 404, headers: {}, body: apiError(404, 'NOT_FOUND', 'Requested entity was not found.', 'notFound') };
+    case 'rateLimited':
+      return { status: 429, headers: { 'Retry-After': '0' }, body: apiError(429, 'RESOURCE_EXHAUSTED', 'Quota exceeded for quota metric.', 'rateLimitExceeded') };
+    case 'quotaExceeded':
+      return { status: 403, headers: {}, body: apiError(403, 'PERMISSION_DENIED', 'Daily quota exceeded.', 'quotaExceeded') };
+    case 'serverError':
+      return { status: 500, headers: { 'Retry-After': '0' }, body: apiError(500, 'INTERNAL', 'Internal error encountered.', 'backendError') };
+    default:
+      throw new Error(`Unknown scripted failure "${kind}".`);
+  }
+}
+
+// --- Search Analytics ---
+
+/**
+ * Tests one fact against a searchanalytics.query filter.
+ * @param {Object} fact The fact.
+ * @param {{dimension: string, operator: string, expression: string}} filter The filter.
+ * @returns {boolean}
+ */
+function matchesFilter(fact, filter) {
+  const value = String(fact[filter.dimension] || '');
+  const expression = filter.expression;
+  switch (filter.operator || 'equals') {
+    case 'equals': return value === expression;
+    case 'notEquals': return value !== expression;
+    case 'contains': return value.includes(expression);
+    case 'notContains': return !value.includes(expression);
+    case 'includingRegex': return new RegExp(expression).test(value);
+    case 'excludingRegex': return !new RegExp(expression).test(value);
+    default: return false;
+  }
+}
+
+/**
+ * Answers a searchanalytics.query request body from the fact table: filters by date and
+ * dimensionFilterGroups, groups by the requested dimensions, sorts by clicks and pages with startRow/rowLimit.
+ * @param {Array<Object>} facts The fact table.
+ * @param {Object} body The request body.
+ * @returns {{rows: Array<Object>, responseAggregationType: string}}
+ */
+function queryFacts(facts, body) {
+  const dimensions = body.dimensions || [];
+  const groups = new Map();
+  for (const row of facts) {
+    if (row.date < body.startDate || row.date > body.endDate) continue;
+    if (!(body.dimensionFilterGroups || []).every((group) => group.filters.every((filter) => matchesFilter(row, filter)))) continue;
+    const keys = dimensions.map((dimension) => row[dimension]);
+    const id = JSON.stringify(keys);
+    const group = groups.get(id) || { keys, clicks: 0, impressions: 0, weightedPosition: 0 };
+    group.clicks += row.clicks;
+    group.impressions += row.impressions;
+    group.weightedPosition += row.position * row.impressions;
+    groups.set(id, group);
+  }
+  const rows = [...groups.values()]
+    .sort((a, b) => b.clicks - a.clicks || b.impressions - a.impressions)
+    .map(({ keys, clicks, impressions, weightedPosition }) => ({
+      ...(dimensions.length > 0 ? { keys } : {}),
+      clicks,
+      impressions,
+      ctr: impressions > 0 ? clicks / impressions : 0,
+      position: impressions > 0 ? weightedPosition / impressions : 0,
+    }));
+  const startRow = body.startRow || 0;
+  const page = rows.slice(startRow, startRow + (body.rowLimit || 1000));
+  return { ...(page.length > 0 ? { rows: page } : {}), responseAggregationType: 'byProperty' };
+}
+
+// --- Server ---
+
+/**
+ * Creates a fake GSC server. Nothing listens until start() is called.
+ * @param {Object} [fixtures] Replacements for the default fixture data.
+ * @param {Array<Object>} [fixtures.sites] Site entries visible to every refresh token not listed in `accounts`.
+ * @param {Object} [fixtures.accounts] Refresh token -> site entries, for multi-account (profile) tests.
+ * @param {Object} [fixtures.sitemaps] siteUrl -> sitemap resources.
+ * @param {Array<Object>} [fixtures.facts] Daily Search Analytics facts ({date, query, page, country, device, clicks, impressions, position}).
+ * @param {Object} [fixtures.inspections] URL -> indexStatusResult; other URLs are reported as unknown to Google.
+ * @returns {Object} The server controls (see below).
+ */
+function createFakeGscServer(fixtures = {}) {
+  const state = {
+    sites: structuredClone(fixtures.sites || DEFAULT_SITES),
+    accounts: new Map(Object.entries(structuredClone(fixtures.accounts || {}))),
+    sitemaps: new Map(Object.entries(structuredClone(fixtures.sitemaps || DEFAULT_SITEMAPS))),
+    facts: fixtures.facts || DEFAULT_FACTS,
+    inspections: fixtures.inspections || DEFAULT_INSPECTIONS,
+  };
+  const accessTokens = new Map(); // access token -> refresh token it was minted from
+  const revokedRefreshTokens = new Set();
+  const failures = []; // { method, path, kind, remaining }
+  const requests = [];
+  let tokenCounter = 0;
+  let server = null;
+  let baseUrl = null;
+
+  /**
+   * Returns the site entries an account (refresh token) can see.
+   * @param {string} refreshToken
+   * @returns {Array<Object>}
+   */
+  const sitesFor = (refreshToken) => (state.accounts.has(refreshToken) ? state.accounts.get(refreshToken) : state.sites);
+
+  /**
+   * Finds and consumes a scripted failure matching the request.
+   * @param {string} method
+   * @param {string} path
+   * @returns {string|null} The failure kind.
+   */
+  function takeFailure(method, path) {
+    const failure = failures.find((f) => f.remaining > 0
+      && (!f.method || f.method === method)
+      && (f.path instanceof RegExp ? f.path.test(path) : path.includes(f.path)));
+    if (!failure) return null;
+    failure.remaining--;
+    return failure.kind;
+  }
+
+  /**
+   * Handles the OAuth token endpoint (refresh_token and authorization_code grants).
+   * @param {URLSearchParams} form The form-encoded request body.
+   * @returns {{status: number, body: Object}}
+   */
+  function handleToken(form) {
+    let refreshToken = form.get('refresh_token');
+    if (form.get('grant_type') === 'authorization_code') {
+      if (!form.get('code')) return { status: 400, body: { error: 'invalid_request', error_description: 'Missing code.' } };
+      refreshToken = `refresh-from-${form.get('code')}`;
+    }
+    if (!refreshToken || revokedRefreshTokens.has(refreshToken)) return failureResponse('invalid_grant');
+    const accessToken = `fake-access-${++tokenCounter}`;
+    accessTokens.set(accessToken, refreshToken);
+    const body = { access_token: accessToken, expires_in: 3600, token_type: 'Bearer', scope: 'https://www.googleapis.com/auth/webmasters' };
+    if (form.get('grant_type') === 'authorization_code') body.refresh_token = refreshToken;
+    return { status: 200, body };
+  }
+
+  /**
+   * Handles a Search Console API request.
+   * @param {string} method
+   * @param {Array<string>} segments Decoded path segments after the API prefix.
+   * @param {Object} body Parsed JSON body.
+   * @param {string} refreshToken The account making the request.
+   * @param {string} path The raw path, for error messages.
+   * @returns {{status: number, body: Object}}
+   */
+  function handleApi(method, segments, body, refreshToken, path) {
+    const visible = sitesFor(refreshToken);
+    const findSite = (siteUrl) => visible.find((site) => site.siteUrl === siteUrl);
+
+    // URL Inspection: POST /v1/urlInspection/index:inspect
+    if (segments[0] === 'v1' && segments[1] === 'urlInspection') {
+      if (!findSite(body.siteUrl)) return failureResponse('forbidden', body.siteUrl);
+      const indexStatusResult = state.inspections[body.inspectionUrl] || { verdict: 'NEUTRAL', coverageState: 'URL is unknown to Google' };
+      return {
+        status: 200,
+        body: {
+          inspectionResult: {
+            inspectionResultLink: `https://search.google.com/search-console/inspect?id=${encodeURIComponent(body.inspectionUrl)}`,
+            indexStatusResult,
+          },
+        },
+      };
+    }
+
+    // Everything else lives under /webmasters/v3/sites.
+    const [, , resource, siteUrl, sub, feedpath] = segments;
+    if (resource !== 'sites') return failureResponse('notFound', path);
+    if (!siteUrl) return method === 'GET' ? { status: 200, body: visible.length > 0 ? { siteEntry: visible } : {} } : failureResponse('notFound', path);
+
+    if (!sub) {
+      if (method === 'PUT') {
+        if (!findSite(siteUrl)) visible.push({ siteUrl, permissionLevel: 'siteOwner' });
+        return { status: 200, body: {} };
+      }
+      const site = findSite(siteUrl);
+      if (!site) return failureResponse('forbidden', siteUrl);
+      if (method === 'GET') return { status: 200, body: site };
+      if (method === 'DELETE') {
+        visible.splice(visible.indexOf(site), 1);
+        state.sitemaps.delete(siteUrl);
+        return { status: 204, body: null };
+      }
+    }
+    if (!findSite(siteUrl)) return failureResponse('forbidden', siteUrl);
+
+    if (sub === 'searchAnalytics' && method === 'POST') return { status: 200, body: queryFacts(state.facts, body) };
+
+    if (sub === 'sitemaps') {
+      const sitemaps = state.sitemaps.get(siteUrl) || [];
+      if (!feedpath) return { status: 200, body: sitemaps.length > 0 ? { sitemap: sitemaps } : {} };
+      const sitemap = sitemaps.find((entry) => entry.path === feedpath);
+      if (method === 'GET') return sitemap ? { status: 200, body: sitemap } : failureResponse('notFound', path);
+      if (method === 'PUT') {
+        if (!sitemap) sitemaps.push({ path: feedpath, lastSubmitted: new Date().toISOString(), isPending: true, isSitemapsIndex: false, type: 'sitemap' });
+        state.sitemaps.set(siteUrl, sitemaps);
+        return { status: 204, body: null };
+      }
+      if (method === 'DELETE') {
+        if (!sitemap) return failureResponse('notFound', path);
+        sitemaps.splice(sitemaps.indexOf(sitemap), 1);
+        return { status: 204, body: null };
+      }
+    }
+    return failureResponse('notFound', path);
+  }
+
+  /**
+   * The HTTP request handler.
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  async function handle(req, res) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const raw = Buffer.concat(chunks).toString('utf8');
+    const { pathname } = new URL(req.url, baseUrl);
+    const isToken = pathname === '/token';
+    let body = {};
+    if (raw && !isToken) body = JSON.parse(raw);
+
+    const authorization = req.headers.authorization || '';
+    const accessToken = authorization.startsWith('Bearer ') ? authorization.slice('Bearer '.length) : null;
+    requests.push({ method: req.method, path: pathname, body: isToken ? Object.fromEntries(new URLSearchParams(raw)) : body, accessToken });
+
+    let response;
+    const scripted = takeFailure(req.method, pathname);
+    if (scripted) {
+      response = failureResponse(scripted, pathname);
+    } else if (isToken) {
+      response = handleToken(new URLSearchParams(raw));
+    } else if (!accessTokens.has(accessToken)) {
+      response = failureResponse('unauthenticated', pathname);
+    } else {
+      const segments = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+      response = handleApi(req.method, segments, body, accessTokens.get(accessToken), pathname);
+    }
+
+    res.writeHead(response.status, { 'Content-Type': 'application/json', ...response.headers });
+    res.end(response.body === null ? undefined : JSON.stringify(response.body));
+  }
+
+  return {
+    state,
+    requests,
+
+    /**
+     * Starts listening on a random local port.
+     * @returns {Promise<{rootUrl: string, tokenUrl: string}>}
+     */
+    async start() {
+      server = http.createServer((req, res) => {
+        handle(req, res).catch((e) => {
+          res.writeHead(500, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: { code: 500, message: `Fake server error: ${e.message}` } }));
+        });
+      });
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      return { rootUrl: `${baseUrl}/`, tokenUrl: `${baseUrl}/token` };
+    },
+
+    /**
+     * Stops listening and closes open connections.
+     * @returns {Promise<void>}
+     */
+    async stop() {
+      if (!server) return;
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+      server = null;
+    },
+
+    /** @returns {string} The value for GSC_API_ROOT_URL. */
+    get rootUrl() {
+      return `${baseUrl}/`;
+    },
+
+    /** @returns {string} The value for GSC_OAUTH_TOKEN_URL. */
+    get tokenUrl() {
+      return `${baseUrl}/token`;
+    },
+
+    /**
+     * Scripts a failure for matching requests.
+     * @param {{method: (string|undefined), path: (string|RegExp)}} match Requests to fail; `path` is matched
+     *   against the raw request path ('/token' for the token endpoint).
+     * @param {('invalid_grant'|'unauthenticated'|'forbidden'|'notFound'|'rateLimited'|'quotaExceeded'|'serverError')} kind
+     * @param {{times: number}} [options] How many matching requests fail (default 1; Infinity for all).
+     */
+    fail(match, kind, { times = 1 } = {}) {
+      failureResponse(kind, ''); // Rejects unknown kinds up front
+      failures.push({ method: match.method, path: match.path, kind, remaining: times });
+    },
+
+    /**
+     * Makes the token endpoint reject a refresh token with invalid_grant, as Google does for revoked tokens.
+     * Access tokens already minted from it stay valid, as they do until they expire at Google.
+     * @param {string} refreshToken
+     */
+    revokeRefreshToken(refreshToken) {
+      revokedRefreshTokens.add(refreshToken);
+    },
+
+    /**
+     * Clears scripted failures and recorded requests.
+     */
+    reset() {
+      failures.length = 0;
+      requests.length = 0;
+    },
+
+    /**
+     * Returns the recorded requests whose path contains the given text.
+     * @param {string} text
+     * @returns {Array<Object>}
+     */
+    requestsTo(text) {
+      return requests.filter((request) => request.path.includes(text));
+    },
+  };
+}
+
+// --- Module Exports ---
+module.exports = {
+  DEFAULT_FACTS,
+  DEFAULT_INSPECTIONS,
+  DEFAULT_SITEMAPS,
+  DEFAULT_SITES,
+  createFakeGscServer,
+};
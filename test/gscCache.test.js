@@ -0,0 +1,78 @@
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { test } = require('node:test');
+const { silenceConsole, useTempDir } = require('./helpers.js');
+const { createResponseCache, stableStringify } = require('../gscCache.js');
+
+silenceConsole();
+const dir = useTempDir();
+
+test('stableStringify sorts keys and drops undefined values', () => {
+  assert.equal(stableStringify({ b: 1, a: [{ d: undefined, c: 'x' }] }), '{"a":[{"c":"x"}],"b":1}');
+  assert.equal(stableStringify({ a: 1, b: 2 }), stableStringify({ b: 2, a: 1 }));
+});
+
+test('entries expire and are returned as copies', async () => {
+  const cache = createResponseCache();
+  const key = cache.keyFor('getSite', 'https://a.example.com/', { siteUrl: 'https://a.example.com/' });
+  cache.set(key, 'https://a.example.com/', { rows: [1] }, 20);
+  const hit = cache.get(key);
+  hit.value.rows.push(2);
+  assert.deepEqual(cache.get(key).value, { rows: [1] });
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  assert.equal(cache.get(key), undefined);
+  assert.deepEqual(cache.stats(), { entries: 0, bytes: 0, maxBytes: 32 * 1024 * 1024, hits: 2, misses: 1, persistent: false });
+});
+
+test('invalidateSite drops the site and account-wide entries only', () => {
+  const cache = createResponseCache();
+  cache.set('sites', '', [], 60000);
+  cache.set('a', 'https://a.example.com/', 1, 60000);
+  cache.set('b', 'https://b.example.com/', 2, 60000);
+  assert.equal(cache.invalidateSite('https://a.example.com/'), 2);
+  assert.equal(cache.get('b').value, 2);
+});
+
+test('the least recently used entries are evicted beyond maxEntries', () => {
+  const cache = createResponseCache({ maxEntries: 2 });
+  cache.set('a', '', 1, 60000);
+  cache.set('b', '', 2, 60000);
+  cache.set('a', '', 3, 60000); // Refreshes "a"
+  cache.set('c', '', 4, 60000);
+  assert.equal(cache.get('b'), undefined);
+  assert.equal(cache.get('a').value, 3);
+
+  cache.get('c');
+  cache.get('a'); // A hit makes "a" the most recently used again
+  cache.set('d', '', 5, 60000);
+  assert.equal(cache.get('c'), undefined);
+  assert.equal(cache.get('a').value, 3);
+});
+
+test('the oldest entries are evicted beyond maxBytes, and oversized values are not cached', () => {
+  const cache = createResponseCache({ maxBytes: 240 }); // At most 60 bytes per entry
+  const value = { rows: 'x'.repeat(45) }; // 56 bytes serialized
+  for (const key of ['a', 'b', 'c', 'd']) cache.set(key, '', value, 60000);
+  assert.equal(cache.stats().bytes, 4 * 56);
+  cache.set('e', '', value, 60000);
+  assert.equal(cache.get('a'), undefined);
+  assert.ok(cache.get('b'));
+  assert.equal(cache.stats().bytes, 4 * 56);
+
+  assert.equal(cache.set('huge', '', { rows: 'x'.repeat(100) }, 60000), false);
+  assert.equal(cache.get('huge'), undefined);
+  cache.clear();
+  assert.equal(cache.stats().bytes, 0);
+});
+
+test('a persistent cache is reloaded from its file', () => {
+  const filePath = path.join(dir, 'cache', 'responses.json');
+  const cache = createResponseCache({ filePath });
+  cache.set('kept', '', 'value', 60000);
+  cache.set('expired', '', 'value', -1);
+  cache.flush();
+  const reloaded = createResponseCache({ filePath });
+  assert.equal(reloaded.get('kept').value, 'value');
+  assert.equal(reloaded.stats().entries, 1);
+  assert.equal(reloaded.stats().bytes, JSON.stringify('value').length);
+});
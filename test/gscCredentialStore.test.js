@@ -0,0 +1,47 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { before, test } = require('node:test');
+const { silenceConsole, useTempDir } = require('./helpers.js');
+
+silenceConsole();
+const dir = useTempDir();
+let store;
+before(() => {
+  process.env.GSC_CREDENTIALS_FILE = path.join(dir, 'nested', 'credentials.json');
+  store = require('../gscCredentialStore.js');
+});
+
+test('nothing is stored until a token is saved', () => {
+  assert.equal(store.getStoredCredentials(), null);
+  assert.deepEqual(store.listStoredProfiles(), []);
+});
+
+test('saveCredentials stores one token per profile, replacing earlier ones', () => {
+  store.saveCredentials({ refreshToken: 'first', scope: 'webmasters' });
+  store.saveCredentials({ refreshToken: 'acme-token', profile: 'acme' });
+  const record = store.saveCredentials({ refreshToken: 'second' });
+  assert.equal(record.refreshToken, 'second');
+  assert.ok(!Number.isNaN(Date.parse(record.obtainedAt)));
+  assert.equal(store.getStoredCredentials().refreshToken, 'second');
+  assert.equal(store.getStoredCredentials('acme').refreshToken, 'acme-token');
+  assert.deepEqual(store.listStoredProfiles().sort(), ['acme', 'default']);
+  assert.equal(fs.statSync(store.CREDENTIALS_FILE).mode & 0o777, 0o600);
+  assert.throws(() => store.saveCredentials({ profile: 'acme' }), /refreshToken is required/);
+});
+
+test('a file written before profiles existed is read as the default profile', () => {
+  fs.writeFileSync(store.CREDENTIALS_FILE, JSON.stringify({ refreshToken: 'legacy', obtainedAt: '2025-01-01T00:00:00.000Z' }));
+  // Make sure the change is noticed even on file systems with coarse modification times.
+  const future = new Date(Date.now() + 5000);
+  fs.utimesSync(store.CREDENTIALS_FILE, future, future);
+  assert.equal(store.getStoredCredentials().refreshToken, 'legacy');
+  assert.deepEqual(store.listStoredProfiles(), ['default']);
+});
+
+test('an unreadable file is treated as empty', () => {
+  fs.writeFileSync(store.CREDENTIALS_FILE, '{not json');
+  const future = new Date(Date.now() + 10000);
+  fs.utimesSync(store.CREDENTIALS_FILE, future, future);
+  assert.equal(store.getStoredCredentials(), null);
+});
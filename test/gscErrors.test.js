@@ -0,0 +1,126 @@
+const assert = require('node:assert/strict');
+const { describe, test } = require('node:test');
+const { silenceConsole } = require('./helpers.js');
+const errors = require('../gscErrors.js');
+
+silenceConsole();
+
+/**
+ * Builds an error shaped like the ones gaxios throws for an HTTP failure.
+ * @param {number} status HTTP status.
+ * @param {Object} data Response body.
+ * @param {Object} [headers] Response headers.
+ * @returns {Error}
+ */
+function httpError(status, data, headers = {}) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, data, headers: new Headers(headers) },
+  });
+}
+
+/**
+ * @param {number} code HTTP status.
+ * @param {string} reason The Google API error reason.
+ * @returns {Object} A Google API error body.
+ */
+function apiBody(code, reason) {
+  return { error: { code, message: `Failure: ${reason}`, errors: [{ reason, message: `Failure: ${reason}` }] } };
+}
+
+describe('toGscError', () => {
+  test('maps HTTP statuses to error classes', () => {
+    const cases = [
+      [httpError(401, apiBody(401, 'authError')), errors.GscAuthError],
+      [httpError(403, apiBody(403, 'forbidden')), errors.GscPermissionError],
+      [httpError(404, apiBody(404, 'notFound')), errors.GscNotFoundError],
+      [httpError(400, apiBody(400, 'invalid')), errors.GscValidationError],
+      [httpError(503, apiBody(503, 'backendError')), errors.GscTransientError],
+      [httpError(418, {}), errors.GscError],
+    ];
+    for (const [input, expected] of cases) {
+      const error = errors.toGscError(input, 'getSite');
+      assert.equal(error.constructor, expected, `status ${input.response.status}`);
+      assert.equal(error.operation, 'getSite');
+      assert.equal(error.cause, input);
+    }
+  });
+
+  test('keeps the API error details in the message and reasons', () => {
+    const error = errors.toGscError(httpError(403, apiBody(403, 'forbidden')), 'getSite');
+    assert.match(error.message, /^Error during GSC operation "getSite": .* \| API Error: 403 Failure: forbidden \| Details: forbidden: Failure: forbidden$/);
+    assert.deepEqual(error.reasons, ['forbidden']);
+  });
+
+  test('separates retryable rate limits from daily quota exhaustion', () => {
+    const rateLimited = errors.toGscError(httpError(429, apiBody(429, 'rateLimitExceeded'), { 'retry-after': '2' }), 'query');
+    assert.ok(rateLimited instanceof errors.GscQuotaError);
+    assert.equal(rateLimited.retryable, true);
+    assert.equal(rateLimited.retryAfterMs, 2000);
+
+    const userRateLimited = errors.toGscError(httpError(403, apiBody(403, 'userRateLimitExceeded')), 'query');
+    assert.equal(userRateLimited.retryable, true);
+
+    const exhausted = errors.toGscError(httpError(403, apiBody(403, 'quotaExceeded')), 'query');
+    assert.ok(exhausted instanceof errors.GscQuotaError);
+    assert.equal(exhausted.retryable, false);
+  });
+
+  test('maps an invalid_grant token response to GscAuthError with a re-authorization hint', () => {
+    const error = errors.toGscError(httpError(400, { error: 'invalid_grant', error_description: 'Token has been expired or revoked.' }), 'listSites');
+    assert.ok(error instanceof errors.GscAuthError);
+    assert.deepEqual(error.reasons, ['invalid_grant']);
+    assert.match(error.message, /OAuth Error: invalid_grant Token has been expired or revoked\..*\/oauth\/start/);
+  });
+
+  test('treats network failures as transient', () => {
+    const error = errors.toGscError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }), 'listSites');
+    assert.ok(error instanceof errors.GscTransientError);
+    assert.equal(error.retryable, true);
+  });
+
+  test('returns GscErrors unchanged', () => {
+    const original = new errors.GscValidationError("siteUrl parameter is required for getSite.");
+    assert.equal(errors.toGscError(original, 'getSite'), original);
+  });
+});
+
+describe('withRetry', () => {
+  const options = { baseDelayMs: 1, maxDelayMs: 50 };
+
+  test('returns the first successful result', async () => {
+    let calls = 0;
+    const result = await errors.withRetry('getSite', async () => {
+      calls++;
+      if (calls < 3) throw httpError(500, apiBody(500, 'backendError'));
+      return 'ok';
+    }, { ...options, maxRetries: 3 });
+    assert.equal(result, 'ok');
+    assert.equal(calls, 3);
+  });
+
+  test('reports each retry through onRetry', async () => {
+    const retries = [];
+    await assert.rejects(errors.withRetry('getSite', async () => {
+      throw httpError(429, apiBody(429, 'rateLimitExceeded'), { 'retry-after': '0' });
+    }, { ...options, maxRetries: 2, onRetry: (error, attempt, delayMs) => retries.push([error.name, attempt, delayMs]) }), errors.GscQuotaError);
+    assert.deepEqual(retries, [['GscQuotaError', 1, 0], ['GscQuotaError', 2, 0]]);
+  });
+
+  test('does not retry non-retryable failures', async () => {
+    let calls = 0;
+    await assert.rejects(errors.withRetry('getSite', async () => {
+      calls++;
+      throw httpError(403, apiBody(403, 'forbidden'));
+    }, { ...options, maxRetries: 3 }), errors.GscPermissionError);
+    assert.equal(calls, 1);
+  });
+
+  test('gives up at once when Retry-After exceeds maxDelayMs', async () => {
+    let calls = 0;
+    await assert.rejects(errors.withRetry('query', async () => {
+      calls++;
+      throw httpError(429, apiBody(429, 'rateLimitExceeded'), { 'retry-after': '60' });
+    }, { ...options, maxRetries: 3 }), (e) => e.retryAfterMs === 60000);
+    assert.equal(calls, 1);
+  });
+});
@@ -0,0 +1,53 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { GscValidationError } = require('../gscErrors.js');
+const { compileFilter, parseFilter } = require('../gscFilterExpression.js');
+
+test('compiles conditions joined by "and" into one group', () => {
+  assert.deepEqual(compileFilter('query contains "running shoes" and country = usa and page !~ ^/blog/'), [{
+    groupType: 'and',
+    filters: [
+      { dimension: 'query', operator: 'contains', expression: 'running shoes' },
+      { dimension: 'country', operator: 'equals', expression: 'usa' },
+      { dimension: 'page', operator: 'excludingRegex', expression: '^/blog/' },
+    ],
+  }]);
+});
+
+test('accepts operator names and symbols case-insensitively', () => {
+  assert.deepEqual(parseFilter('Device EQUALS mobile and query notContains free'), [
+    { dimension: 'device', operator: 'equals', expression: 'MOBILE' },
+    { dimension: 'query', operator: 'notContains', expression: 'free' },
+  ]);
+  assert.equal(parseFilter('query =~ "a|b"')[0].operator, 'includingRegex');
+});
+
+test('points at the offending token', () => {
+  assert.throws(() => parseFilter('query contains shoes or page = /x'), (e) => {
+    assert.ok(e instanceof GscValidationError);
+    assert.equal(e.position, 21);
+    assert.equal(e.token, 'or');
+    assert.match(e.message, /'or' is not supported/);
+    assert.match(e.message, /\n {23}\^\^$/);
+    return true;
+  });
+});
+
+test('rejects unknown dimensions, missing values and invalid values', () => {
+  assert.throws(() => parseFilter('date = 2026-10-01'), /Dates are set with startDate\/endDate/);
+  assert.throws(() => parseFilter('query contains'), /expected a value after "contains" but found end of expression/);
+  assert.throws(() => parseFilter('query contains "shoes'), GscValidationError);
+  assert.throws(() => parseFilter('device = watch'), GscValidationError);
+  assert.throws(() => parseFilter('   '), /non-empty string/);
+});
+
+test('rejects regex constructs that RE2 does not support', () => {
+  assert.throws(() => parseFilter('query ~ "shoes(?!-sale)"'), /a lookahead assertion \("\(\?!"\) is not supported: regex filters use RE2 syntax/);
+  assert.throws(() => parseFilter('page ~ "(?<=/blog/).+"'), /a lookbehind assertion/);
+  assert.throws(() => parseFilter('query !~ "(a)\\\\1"'), /a backreference \("\\1"\)/);
+  assert.throws(() => parseFilter('query ~ "(?<w>a)\\\\k<w>"'), /a named backreference/);
+  assert.throws(() => parseFilter('query ~ "(shoes"'), /invalid regular expression .*; regex filters use RE2 syntax\./);
+  // Escaped or bracketed look-alikes, named groups and non-capturing groups are fine.
+  assert.equal(parseFilter('query ~ "\\\\(?=x[(?!]\\\\\\\\1"')[0].expression, '\\(?=x[(?!]\\\\1');
+  assert.equal(parseFilter('query ~ "(?<w>a)(?:b|c)"')[0].operator, 'includingRegex');
+});
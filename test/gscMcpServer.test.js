@@ -0,0 +1,110 @@
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const path = require('node:path');
+const readline = require('node:readline');
+const { before, test } = require('node:test');
+const { silenceConsole, useFakeGsc } = require('./helpers.js');
+
+silenceConsole();
+const { server, ready } = useFakeGsc();
+
+const SITE = 'https://www.example.com/';
+let mcp;
+before(async () => {
+  await ready;
+  mcp = require('../gscMcpServer.js');
+});
+
+/**
+ * Sends one tools/call request.
+ * @param {string} name The tool.
+ * @param {Object} args Its arguments.
+ * @returns {Promise<Object>} The JSON-RPC response.
+ */
+function callTool(name, args) {
+  return mcp.handleMessage({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name, arguments: args } });
+}
+
+test('initialize and tools/list describe the server', async () => {
+  const init = await mcp.handleMessage({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+  assert.equal(init.result.serverInfo.name, 'gsc-mcp-server');
+  assert.equal(init.result.instructions, undefined);
+
+  const list = await mcp.handleMessage({ jsonrpc: '2.0', id: 2, method: 'tools/list' });
+  const names = list.result.tools.map((tool) => tool.name);
+  assert.equal(new Set(names).size, names.length);
+  for (const name of ['listSites', 'queryAnalytics', 'inspectUrl', 'submitSitemap', 'comparePeriods', 'findCannibalization', 'querySnapshots']) {
+    assert.ok(names.includes(name), name);
+  }
+  assert.ok(list.result.tools.every((tool) => !('invoke' in tool)));
+});
+
+test('tools/call returns the result, plus cache details for cacheable calls', async () => {
+  const response = await callTool('getSite', { siteUrl: SITE });
+  const [result, cache] = response.result.content;
+  assert.equal(JSON.parse(result.text).permissionLevel, 'siteOwner');
+  assert.equal(JSON.parse(cache.text).cache.hit, false);
+  assert.equal(response.result.isError, undefined);
+});
+
+test('GSC failures are tool results with isError and the typed error', async () => {
+  server.fail({ path: '/searchAnalytics/query' }, 'forbidden');
+  const response = await callTool('queryAnalytics', { siteUrl: SITE, startDate: '2026-10-01', endDate: '2026-10-31', dimensions: ['query'] });
+  assert.equal(response.result.isError, true);
+  const error = JSON.parse(response.result.content[0].text);
+  assert.equal(error.error, 'GscPermissionError');
+  assert.equal(error.status, 403);
+});
+
+test('write tools return the preview first', async () => {
+  const response = await callTool('deleteSitemap', { siteUrl: SITE, feedpath: 'https://www.example.com/sitemap.xml' });
+  const preview = JSON.parse(response.result.content[0].text);
+  assert.equal(preview.dryRun, true);
+  assert.ok(preview.confirmationToken);
+  assert.equal(server.requestsTo('/sitemaps/').length, 0);
+});
+
+test('invalid requests are protocol errors', async () => {
+  const unknown = await callTool('dropDatabase', {});
+  assert.equal(unknown.error.code, -32602);
+
+  const invalid = await callTool('queryAnalytics', { siteUrl: SITE, startDate: '10/01/2026', dimensions: ['weather'] });
+  assert.equal(invalid.error.code, -32602);
+  assert.match(invalid.error.message, /arguments\.endDate is required/);
+  assert.match(invalid.error.message, /arguments\.startDate does not match/);
+  assert.match(invalid.error.message, /arguments\.dimensions\[0\] must be one of/);
+
+  const missing = await mcp.handleMessage({ jsonrpc: '2.0', id: 3, method: 'resources/list' });
+  assert.equal(missing.error.code, -32601);
+  assert.equal(await mcp.handleMessage({ jsonrpc: '2.0', method: 'notifications/initialized' }), null);
+  assert.equal((await mcp.handleMessage({ id: 4, method: 'ping' })).error.code, -32600);
+});
+
+test('validateAgainstSchema checks nested values', () => {
+  const schema = { type: 'object', properties: { rows: { type: 'integer', minimum: 1 }, flag: { type: 'boolean' } }, required: ['rows'] };
+  assert.deepEqual(mcp.validateAgainstSchema(schema, { rows: 1 }, 'arguments'), []);
+  assert.deepEqual(mcp.validateAgainstSchema(schema, { rows: 0.5, flag: 'yes' }, 'arguments'), [
+    'arguments.rows must be an integer',
+    'arguments.flag must be of type boolean',
+  ]);
+});
+
+test('the stdio server answers newline-delimited requests and exits when stdin closes', async () => {
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'gscMcpServer.js')], { stdio: ['pipe', 'pipe', 'ignore'] });
+  const timer = setTimeout(() => child.kill(), 10000);
+  try {
+    const lines = readline.createInterface({ input: child.stdout })[Symbol.asyncIterator]();
+    child.stdin.write('not json\n');
+    child.stdin.write(`${JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'listSitemaps', arguments: { siteUrl: SITE } } })}\n`);
+    const responses = [JSON.parse((await lines.next()).value), JSON.parse((await lines.next()).value)];
+    const byId = Object.fromEntries(responses.map((response) => [response.id, response]));
+    assert.equal(byId.null.error.code, -32700);
+    assert.equal(JSON.parse(byId[1].result.content[0].text)[0].path, 'https://www.example.com/sitemap.xml');
+
+    child.stdin.end();
+    const [code] = await new Promise((resolve) => child.once('exit', (...args) => resolve(args)));
+    assert.equal(code, 0);
+  } finally {
+    clearTimeout(timer);
+  }
+});
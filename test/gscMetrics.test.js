@@ -0,0 +1,78 @@
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const path = require('node:path');
+const readline = require('node:readline');
+const { beforeEach, test } = require('node:test');
+const { useTempDir } = require('./helpers.js');
+
+process.env.GSC_METRICS_DIR = useTempDir();
+const metrics = require('../gscMetrics.js');
+
+beforeEach(() => metrics.resetMetrics());
+
+test('calls are counted by operation and outcome with a latency histogram', () => {
+  metrics.recordCall('queryAnalytics for https://a.example.com/', 'success', 300);
+  metrics.recordCall('queryAnalytics', 'cache_hit');
+  const text = metrics.renderPrometheus();
+  assert.match(text, /^gsc_api_calls_total\{operation="queryAnalytics",outcome="success"\} 1$/m);
+  assert.match(text, /^gsc_api_calls_total\{operation="queryAnalytics",outcome="cache_hit"\} 1$/m);
+  assert.match(text, /^gsc_api_call_duration_seconds_bucket\{operation="queryAnalytics",le="0.25"\} 0$/m);
+  assert.match(text, /^gsc_api_call_duration_seconds_bucket\{operation="queryAnalytics",le="0.5"\} 1$/m);
+  assert.match(text, /^gsc_api_call_duration_seconds_count\{operation="queryAnalytics"\} 1$/m);
+});
+
+test('retries and token refreshes are reported', () => {
+  metrics.recordRetry('getSite', 'GscTransientError');
+  metrics.recordTokenRefresh('acme', false);
+  assert.equal(metrics.getLastTokenRefresh('acme'), null);
+  metrics.recordTokenRefresh('acme', true);
+  assert.ok(metrics.getLastTokenRefresh('acme') <= Date.now());
+  const text = metrics.renderPrometheus(['extra_metric 1']);
+  assert.match(text, /^gsc_api_retries_total\{operation="getSite",error="GscTransientError"\} 1$/m);
+  assert.match(text, /^gsc_token_refresh_failures_total\{profile="acme"\} 1$/m);
+  assert.match(text, /^gsc_token_refresh_last_success_timestamp_seconds\{profile="acme"\} [\d.]+$/m);
+  assert.ok(text.endsWith('extra_metric 1\n'));
+});
+
+test('label values are escaped', () => {
+  assert.equal(metrics.formatLabels({ a: 'x"y\\z\n' }), '{a="x\\"y\\\\z\\n"}');
+  assert.equal(metrics.formatLabels({}), '');
+});
+
+test('metrics of other running processes are added in, and dropped once they exit', async () => {
+  const script = `
+    const metrics = require(${JSON.stringify(path.join(__dirname, '..', 'gscMetrics.js'))});
+    metrics.recordCall('getSite', 'success', 200);
+    metrics.recordRetry('getSite', 'GscTransientError');
+    metrics.recordTokenRefresh('acme', true);
+    metrics.persistMetrics();
+    console.log('ready');
+    process.stdin.resume(); // Runs until stdin closes
+  `;
+  const child = spawn(process.execPath, ['-e', script], { stdio: ['pipe', 'pipe', 'ignore'] });
+  const timer = setTimeout(() => child.kill(), 10000);
+  try {
+    const lines = readline.createInterface({ input: child.stdout })[Symbol.asyncIterator]();
+    assert.equal((await lines.next()).value, 'ready');
+
+    metrics.recordCall('getSite', 'success', 40);
+    let text = metrics.renderPrometheus();
+    assert.match(text, /^gsc_api_calls_total\{operation="getSite",outcome="success"\} 2$/m);
+    assert.match(text, /^gsc_api_call_duration_seconds_bucket\{operation="getSite",le="0.05"\} 1$/m);
+    assert.match(text, /^gsc_api_call_duration_seconds_count\{operation="getSite"\} 2$/m);
+    assert.match(text, /^gsc_api_retries_total\{operation="getSite",error="GscTransientError"\} 1$/m);
+    assert.match(text, /^gsc_token_refresh_failures_total\{profile="acme"\} 0$/m);
+    assert.ok(metrics.getLastTokenRefresh('acme') <= Date.now());
+
+    child.stdin.end();
+    await new Promise((resolve) => child.once('exit', resolve));
+    text = metrics.renderPrometheus();
+    assert.match(text, /^gsc_api_calls_total\{operation="getSite",outcome="success"\} 1$/m);
+    assert.doesNotMatch(text, /gsc_api_retries_total\{/);
+    assert.equal(metrics.getLastTokenRefresh('acme'), null);
+    assert.ok(!fs.readdirSync(metrics.METRICS_DIR).includes(`${child.pid}.json`));
+  } finally {
+    clearTimeout(timer);
+  }
+});
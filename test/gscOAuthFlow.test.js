@@ -0,0 +1,61 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const { before, test } = require('node:test');
+const { silenceConsole, useFakeGsc } = require('./helpers.js');
+
+silenceConsole();
+const { server, ready } = useFakeGsc({
+  accounts: { 'refresh-from-code-beta': [{ siteUrl: 'sc-domain:beta.example.com', permissionLevel: 'siteOwner' }] },
+});
+
+let oauthFlow;
+let credentialStore;
+let gscService;
+before(async () => {
+  await ready;
+  oauthFlow = require('../gscOAuthFlow.js');
+  credentialStore = require('../gscCredentialStore.js');
+  gscService = require('../gscService.js');
+});
+
+test('startAuthorization builds a consent URL for offline access', () => {
+  const { url, state } = oauthFlow.startAuthorization();
+  const params = new URL(url).searchParams;
+  assert.equal(params.get('access_type'), 'offline');
+  assert.equal(params.get('prompt'), 'consent');
+  assert.equal(params.get('scope'), oauthFlow.GSC_OAUTH_SCOPES.join(' '));
+  assert.equal(params.get('state'), state);
+  assert.equal(params.get('client_id'), 'fake-client-id');
+  assert.throws(() => oauthFlow.startAuthorization('not a profile'), /Invalid profile name/);
+});
+
+test('completeAuthorization exchanges the code and stores the token under the profile', async () => {
+  const { state } = oauthFlow.startAuthorization('beta');
+  const record = await oauthFlow.completeAuthorization('code-beta', state);
+  assert.equal(record.profile, 'beta');
+  assert.equal(record.refreshToken, 'refresh-from-code-beta');
+  assert.equal(server.requestsTo('/token')[0].body.grant_type, 'authorization_code');
+
+  assert.equal(credentialStore.getStoredCredentials('beta').refreshToken, 'refresh-from-code-beta');
+  assert.deepEqual(credentialStore.listStoredProfiles(), ['beta']);
+  assert.equal(fs.statSync(credentialStore.CREDENTIALS_FILE).mode & 0o777, 0o600);
+});
+
+test('gscService picks up a profile minted by the flow without a restart', async () => {
+  assert.ok(gscService.listProfiles().includes('beta'));
+  const sites = await gscService.listSites({ profile: 'beta' });
+  assert.deepEqual(sites.map((site) => site.siteUrl), ['sc-domain:beta.example.com']);
+});
+
+test('a state can only be used once', async () => {
+  const { state } = oauthFlow.startAuthorization();
+  await oauthFlow.completeAuthorization('code-1', state);
+  await assert.rejects(oauthFlow.completeAuthorization('code-2', state), /Unknown or expired OAuth state/);
+  await assert.rejects(oauthFlow.completeAuthorization('code-3', 'forged'), /Unknown or expired OAuth state/);
+});
+
+test('a missing code is rejected before contacting the token endpoint', async () => {
+  const { state } = oauthFlow.startAuthorization();
+  await assert.rejects(oauthFlow.completeAuthorization('', state), /code parameter is required/);
+  assert.equal(server.requestsTo('/token').length, 0);
+});
@@ -0,0 +1,62 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { afterEach, before, test } = require('node:test');
+const { silenceConsole, useTempDir } = require('./helpers.js');
+const { GscPermissionError, GscValidationError } = require('../gscErrors.js');
+
+silenceConsole();
+const dir = useTempDir();
+let policy;
+before(() => {
+  process.env.GSC_AUDIT_LOG = path.join(dir, 'audit.jsonl');
+  policy = require('../gscPolicy.js');
+});
+afterEach(() => {
+  delete process.env.GSC_READ_ONLY;
+  delete process.env.GSC_WRITE_ALLOWLIST;
+  delete process.env.GSC_REQUIRE_CONFIRMATION;
+});
+
+test('the default policy allows writes to any site after confirmation', () => {
+  assert.deepEqual(policy.getWritePolicy(), { readOnly: false, allowlist: null, requireConfirmation: true });
+  assert.doesNotThrow(() => policy.checkWritePolicy('deleteSite', 'https://www.example.com/'));
+});
+
+test('read-only mode and the allowlist are read from the environment on every call', () => {
+  process.env.GSC_WRITE_ALLOWLIST = ' https://a.example.com/ ,sc-domain:b.example.com,';
+  process.env.GSC_REQUIRE_CONFIRMATION = 'false';
+  assert.deepEqual(policy.getWritePolicy(), {
+    readOnly: false,
+    allowlist: ['https://a.example.com/', 'sc-domain:b.example.com'],
+    requireConfirmation: false,
+  });
+  assert.doesNotThrow(() => policy.checkWritePolicy('addSite', 'sc-domain:b.example.com'));
+  assert.throws(() => policy.checkWritePolicy('addSite', 'https://c.example.com/'),
+    (e) => e instanceof GscPermissionError && e.reasons[0] === 'siteNotAllowlisted');
+
+  process.env.GSC_READ_ONLY = 'true';
+  assert.throws(() => policy.checkWritePolicy('addSite', 'sc-domain:b.example.com'), (e) => e.reasons[0] === 'readOnlyMode');
+});
+
+test('a confirmation token is bound to its operation and arguments and can be used once', () => {
+  const args = { siteUrl: 'https://www.example.com/', feedpath: 'https://www.example.com/sitemap.xml' };
+  const { token, expiresAt } = policy.issueConfirmation('submitSitemap', args);
+  assert.ok(Date.parse(expiresAt) > Date.now());
+  // Argument order does not matter.
+  policy.consumeConfirmation(token, 'submitSitemap', { feedpath: args.feedpath, siteUrl: args.siteUrl });
+  assert.throws(() => policy.consumeConfirmation(token, 'submitSitemap', args), /Unknown or expired confirmation token/);
+
+  const other = policy.issueConfirmation('submitSitemap', args);
+  assert.throws(() => policy.consumeConfirmation(other.token, 'deleteSitemap', args),
+    (e) => e instanceof GscValidationError && e.reasons[0] === 'invalidConfirmation');
+});
+
+test('recordAudit appends one JSON line per entry', () => {
+  policy.recordAudit({ operation: 'addSite', args: { siteUrl: 'https://a.example.com/' }, outcome: 'previewed' });
+  policy.recordAudit({ operation: 'addSite', args: { siteUrl: 'https://a.example.com/' }, outcome: 'failed', error: 'boom' });
+  const entries = fs.readFileSync(policy.AUDIT_LOG_FILE, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+  assert.deepEqual(entries.map((entry) => [entry.outcome, entry.error]), [['previewed', undefined], ['failed', 'boom']]);
+  assert.ok(entries.every((entry) => !Number.isNaN(Date.parse(entry.timestamp))));
+  assert.equal(fs.statSync(policy.AUDIT_LOG_FILE).mode & 0o777, 0o600);
+});
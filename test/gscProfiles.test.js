@@ -0,0 +1,51 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { test } = require('node:test');
+const { useTempDir } = require('./helpers.js');
+const { loadProfileConfigs, oauthEndpoints } = require('../gscProfiles.js');
+
+const dir = useTempDir();
+const client = {
+  GSC_OAUTH_CLIENT_ID: 'id',
+  GSC_OAUTH_CLIENT_SECRET: 'secret',
+  GSC_OAUTH_REDIRECT_URI: 'http://localhost/cb',
+};
+
+test('the GSC_OAUTH_* variables define the default profile', () => {
+  const configs = loadProfileConfigs({ ...client, GSC_OAUTH_REFRESH_TOKEN: 'r' });
+  assert.deepEqual([...configs.values()], [
+    { name: 'default', clientId: 'id', clientSecret: 'secret', redirectUri: 'http://localhost/cb', refreshToken: 'r', sites: [] },
+  ]);
+  assert.equal(loadProfileConfigs({}).size, 0);
+});
+
+test('named profiles inherit the client settings they do not override', () => {
+  const configs = loadProfileConfigs({
+    ...client,
+    GSC_PROFILES: JSON.stringify({ acme: { refreshToken: 'a', sites: ['sc-domain:acme.com'] }, globex: { clientId: 'other' } }),
+  });
+  assert.deepEqual([...configs.keys()], ['default', 'acme', 'globex']);
+  assert.deepEqual(configs.get('acme').sites, ['sc-domain:acme.com']);
+  assert.equal(configs.get('acme').clientId, 'id');
+  assert.equal(configs.get('globex').clientId, 'other');
+  assert.equal(configs.get('globex').refreshToken, undefined);
+});
+
+test('GSC_PROFILES_FILE takes precedence over GSC_PROFILES', () => {
+  const file = path.join(dir, 'profiles.json');
+  fs.writeFileSync(file, JSON.stringify({ fromFile: {} }));
+  const configs = loadProfileConfigs({ GSC_PROFILES_FILE: file, GSC_PROFILES: '{"inline":{}}' });
+  assert.deepEqual([...configs.keys()], ['fromFile']);
+});
+
+test('invalid configurations are rejected', () => {
+  assert.throws(() => loadProfileConfigs({ GSC_PROFILES: '{oops' }), /^Error: Invalid JSON in GSC_PROFILES/);
+  assert.throws(() => loadProfileConfigs({ GSC_PROFILES: '[]' }), /must contain an object/);
+  assert.throws(() => loadProfileConfigs({ GSC_PROFILES: '{"bad name":{}}' }), /Invalid GSC profile name "bad name"/);
+});
+
+test('oauthEndpoints overrides the token endpoint only when GSC_OAUTH_TOKEN_URL is set', () => {
+  assert.deepEqual(oauthEndpoints({}), {});
+  assert.deepEqual(oauthEndpoints({ GSC_OAUTH_TOKEN_URL: 'http://127.0.0.1:1/token' }), { oauth2TokenUrl: 'http://127.0.0.1:1/token' });
+});
@@ -0,0 +1,87 @@
+const assert = require('node:assert/strict');
+const { before, test } = require('node:test');
+const { silenceConsole, useFakeGsc } = require('./helpers.js');
+
+silenceConsole();
+const { server, ready } = useFakeGsc();
+
+const SITE = 'https://www.example.com/';
+let reports;
+let errors;
+before(async () => {
+  await ready;
+  reports = require('../gscReports.js');
+  errors = require('../gscErrors.js');
+});
+
+test('previousPeriod returns the equally long period just before', () => {
+  assert.deepEqual(reports.previousPeriod('2026-10-01', '2026-10-31'), { startDate: '2026-08-31', endDate: '2026-09-30' });
+  assert.deepEqual(reports.previousPeriod('2026-03-01', '2026-03-01'), { startDate: '2026-02-28', endDate: '2026-02-28' });
+});
+
+test('comparePeriods joins both periods and ranks the changes', async () => {
+  const report = await reports.comparePeriods(SITE, ['query'],
+    { startDate: '2026-10-01', endDate: '2026-10-31' }, { startDate: '2026-09-01', endDate: '2026-09-30' });
+  const queries = (list) => list.map((entry) => entry.keys[0]);
+  assert.deepEqual(queries(report.gainers), ['running shoes']);
+  assert.deepEqual(queries(report.losers), ['trail boots']);
+  assert.deepEqual(queries(report.newEntries), ['wool socks', 'shoe laces']);
+  assert.deepEqual(queries(report.lostEntries), ['rain jacket']);
+  assert.equal(report.gainers[0].delta.clicks, 41);
+  assert.equal(report.totals.current.clicks, 388);
+  assert.equal(report.totals.previous.clicks, 410);
+  assert.equal(report.totals.delta.clicks, -22);
+  assert.deepEqual(report.rowCounts, { current: 4, previous: 3, joined: 5 });
+  assert.equal(report.truncated, false);
+});
+
+test('comparePeriods applies the filter and thresholds to both periods', async () => {
+  const report = await reports.comparePeriods(SITE, ['query'], { startDate: '2026-10-01', endDate: '2026-10-31' }, undefined, {
+    filter: 'query contains shoe',
+    minImpressions: 1000,
+    rankBy: 'impressions',
+  });
+  assert.deepEqual(report.previousRange, { startDate: '2026-08-31', endDate: '2026-09-30' });
+  assert.deepEqual(report.gainers.map((entry) => entry.keys[0]), ['running shoes']);
+  assert.deepEqual(report.newEntries.map((entry) => entry.keys[0]), ['shoe laces']);
+  for (const request of server.requestsTo('/searchAnalytics/query')) {
+    assert.equal(request.body.dimensionFilterGroups[0].filters[0].expression, 'shoe');
+  }
+  await assert.rejects(reports.comparePeriods(SITE, ['query'], { startDate: '2026-10-01', endDate: '2026-10-31' }, undefined, { rankBy: 'ctr' }),
+    errors.GscValidationError);
+});
+
+test('findCannibalization reports queries split across several pages', async () => {
+  const result = await reports.findCannibalization(SITE, '2026-10-01', '2026-10-31');
+  assert.equal(result.matches, 1);
+  const [entry] = result.queries;
+  assert.equal(entry.query, 'running shoes');
+  assert.equal(entry.competingPages, 2);
+  assert.deepEqual(entry.pages.map((page) => page.page), [
+    'https://www.example.com/shoes',
+    'https://www.example.com/blog/best-shoes',
+    'https://www.example.com/sale',
+  ]);
+  assert.match(entry.reason, /^2 pages each get at least 10\.0% of 1,850 impressions: the top page gets 54\.1% at position 4\.2, the other ranks at 9\.5\.$/);
+});
+
+test('findCtrOpportunities reports rows far below the expected CTR for their position', async () => {
+  const result = await reports.findCtrOpportunities(SITE, '2026-10-01', '2026-10-31');
+  assert.equal(result.criteria.ctrCurve, 'default');
+  assert.deepEqual(result.opportunities.map((row) => row.query), ['shoe laces', 'wool socks']);
+  assert.equal(result.opportunities[0].missedClicks, 278);
+
+  const custom = await reports.findCtrOpportunities(SITE, '2026-10-01', '2026-10-31', { ctrCurve: [0.01, 0.01, 0.01] });
+  assert.deepEqual(custom.criteria.ctrCurve, [0.01, 0.01, 0.01]);
+  assert.deepEqual(custom.opportunities.map((row) => row.query), ['shoe laces']);
+});
+
+test('findStrikingDistance reports rows just off the first page', async () => {
+  const result = await reports.findStrikingDistance(SITE, '2026-10-01', '2026-10-31');
+  assert.deepEqual(result.keywords.map((row) => [row.query, row.potentialClicks]), [['wool socks', 160], ['running shoes', 78]]);
+
+  const narrow = await reports.findStrikingDistance(SITE, '2026-10-01', '2026-10-31', { minPosition: 10, limit: 5 });
+  assert.deepEqual(narrow.keywords.map((row) => row.query), ['wool socks']);
+  await assert.rejects(reports.findStrikingDistance(SITE, '2026-10-01', '2026-10-31', { minPosition: 20, maxPosition: 8 }),
+    errors.GscValidationError);
+});
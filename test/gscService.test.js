@@ -0,0 +1,340 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { before, describe, test } = require('node:test');
+const { confirmWrite, silenceConsole, useFakeGsc } = require('./helpers.js');
+
+silenceConsole();
+const { server, dir, ready } = useFakeGsc({
+  accounts: {
+    'refresh-acme': [{ siteUrl: 'sc-domain:acme.com', permissionLevel: 'siteOwner' }],
+  },
+}, {
+  GSC_PROFILES: JSON.stringify({
+    acme: { refreshToken: 'refresh-acme', sites: ['sc-domain:acme.com'] },
+    revoked: { refreshToken: 'refresh-revoked' },
+  }),
+});
+
+const SITE = 'https://www.example.com/';
+let gscService;
+let errors;
+let metrics;
+before(async () => {
+  await ready;
+  server.revokeRefreshToken('refresh-revoked');
+  gscService = require('../gscService.js');
+  errors = require('../gscErrors.js');
+  metrics = require('../gscMetrics.js');
+});
+
+/**
+ * @returns {Array<Object>} The entries written to the audit log so far.
+ */
+function readAuditLog() {
+  return fs.readFileSync(path.join(dir, 'audit.jsonl'), 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+}
+
+describe('profiles and authentication', () => {
+  test('listProfiles lists the default profile first, then the configured ones', () => {
+    assert.deepEqual(gscService.listProfiles(), ['default', 'acme', 'revoked']);
+  });
+
+  test('isAuthInitialized reports usable profiles', () => {
+    assert.equal(gscService.isAuthInitialized(), true);
+    assert.equal(gscService.isAuthInitialized('acme'), true);
+    assert.equal(gscService.isAuthInitialized('unknown'), false);
+  });
+
+  test('verifyAuth refreshes each profile and reports a revoked refresh token', async () => {
+    const results = await gscService.verifyAuth();
+    const byProfile = Object.fromEntries(results.map((result) => [result.profile, result]));
+    assert.equal(byProfile.default.ok, true);
+    assert.ok(byProfile.default.expiresAt);
+    assert.equal(byProfile.acme.ok, true);
+    assert.equal(byProfile.revoked.ok, false);
+    assert.match(byProfile.revoked.error, /invalid_grant/);
+    assert.match(metrics.renderPrometheus(), /gsc_token_refresh_failures_total\{profile="revoked"\} 1/);
+  });
+
+  test('verifyAuth can check a single profile', async () => {
+    const results = await gscService.verifyAuth({ profile: 'acme' });
+    assert.deepEqual(results.map((result) => result.profile), ['acme']);
+  });
+});
+
+describe('sites', () => {
+  test('listSites merges the properties of every usable profile', async () => {
+    const sites = await gscService.listSites();
+    assert.deepEqual(sites.map((site) => [site.siteUrl, site.profile]), [
+      [SITE, 'default'],
+      ['sc-domain:example.org', 'default'],
+      ['sc-domain:acme.com', 'acme'],
+    ]);
+  });
+
+  test('listSites serves repeated calls from the cache', async () => {
+    await gscService.listSites({ profile: 'acme' });
+    server.reset();
+    const sites = await gscService.listSites({ profile: 'acme' });
+    assert.equal(server.requests.length, 0);
+    assert.equal(gscService.getCacheInfo(sites).hit, true);
+  });
+
+  test('getSite routes the site to the profile that owns it', async () => {
+    const site = await gscService.getSite('sc-domain:acme.com');
+    assert.equal(site.permissionLevel, 'siteOwner');
+    assert.equal(gscService.getCacheInfo(site).hit, false);
+  });
+
+  test('getSite rejects an unknown profile', async () => {
+    await assert.rejects(gscService.getSite(SITE, { profile: 'nope' }), errors.GscValidationError);
+  });
+
+  test('getCacheInfo returns undefined for values that did not come from a cacheable call', () => {
+    assert.equal(gscService.getCacheInfo({}), undefined);
+    assert.equal(gscService.getCacheInfo(null), undefined);
+  });
+
+  test('addSite previews, then adds the site once confirmed, and audits both steps', async () => {
+    const preview = await gscService.addSite('https://new.example.com/');
+    assert.equal(preview.dryRun, true);
+    assert.equal(server.requestsTo('/sites/').length, 0);
+
+    const result = await gscService.addSite('https://new.example.com/', { confirm: preview.confirmationToken });
+    assert.match(result.message, /submitted for addition/);
+    assert.ok(server.state.sites.some((site) => site.siteUrl === 'https://new.example.com/'));
+
+    const entries = readAuditLog().filter((entry) => entry.args.siteUrl === 'https://new.example.com/');
+    assert.deepEqual(entries.map((entry) => entry.outcome), ['previewed', 'succeeded']);
+    assert.equal(entries[0].operation, 'addSite');
+    assert.ok(entries[0].timestamp);
+  });
+
+  test('addSite invalidates the cached site list', async () => {
+    await gscService.listSites({ profile: 'default' });
+    await confirmWrite((options) => gscService.addSite('https://cache.example.com/', { profile: 'default', ...options }));
+    const sites = await gscService.listSites({ profile: 'default' });
+    assert.ok(sites.some((site) => site.siteUrl === 'https://cache.example.com/'));
+  });
+
+  test('deleteSite removes the site once confirmed', async () => {
+    await confirmWrite((options) => gscService.addSite('https://gone.example.com/', options));
+    await confirmWrite((options) => gscService.deleteSite('https://gone.example.com/', options));
+    assert.ok(!server.state.sites.some((site) => site.siteUrl === 'https://gone.example.com/'));
+  });
+
+  test('a confirmation token only confirms the previewed call, once', async () => {
+    const preview = await gscService.deleteSite('https://new.example.com/');
+    await assert.rejects(gscService.deleteSite(SITE, { confirm: preview.confirmationToken }), errors.GscValidationError);
+    // Rejected tokens are consumed, so the original call needs a new preview too.
+    await assert.rejects(gscService.deleteSite('https://new.example.com/', { confirm: preview.confirmationToken }), errors.GscValidationError);
+  });
+
+  test('read-only mode and the allowlist reject writes before any request is sent', async (t) => {
+    t.after(() => {
+      delete process.env.GSC_READ_ONLY;
+      delete process.env.GSC_WRITE_ALLOWLIST;
+    });
+    process.env.GSC_READ_ONLY = 'true';
+    await assert.rejects(gscService.deleteSite(SITE), (e) => e instanceof errors.GscPermissionError && e.reasons.includes('readOnlyMode'));
+    delete process.env.GSC_READ_ONLY;
+    process.env.GSC_WRITE_ALLOWLIST = 'https://allowed.example.com/';
+    await assert.rejects(gscService.deleteSite(SITE), (e) => e.reasons.includes('siteNotAllowlisted'));
+    assert.equal(server.requests.length, 0);
+    assert.equal(readAuditLog().at(-1).outcome, 'denied');
+  });
+});
+
+describe('search analytics', () => {
+  test('queryAnalytics sends one request and returns the rows', async () => {
+    const result = await gscService.queryAnalytics(SITE, '2026-10-01', '2026-10-31', ['query'], { cache: false });
+    assert.deepEqual(result.rows.map((row) => row.keys[0]), ['trail boots', 'running shoes', 'wool socks', 'shoe laces']);
+    const [request] = server.requestsTo('/searchAnalytics/query');
+    assert.equal(request.body.rowLimit, 1000);
+    assert.equal(request.body.type, 'web');
+  });
+
+  test('queryAnalytics compiles a filter expression into dimensionFilterGroups', async () => {
+    const result = await gscService.queryAnalytics(SITE, '2026-10-01', '2026-10-31', ['query'], {
+      filter: 'query contains shoe and device = mobile',
+      dimensionFilterGroups: [{ filters: [{ dimension: 'country', expression: 'usa' }] }],
+      cache: false,
+    });
+    assert.deepEqual(server.requestsTo('/searchAnalytics/query')[0].body.dimensionFilterGroups, [
+      { filters: [{ dimension: 'country', expression: 'usa' }] },
+      { groupType: 'and', filters: [{ dimension: 'query', operator: 'contains', expression: 'shoe' }, { dimension: 'device', operator: 'equals', expression: 'MOBILE' }] },
+    ]);
+    assert.equal(result.rows, undefined); // No mobile "shoe" rows in the US
+  });
+
+  test('queryAnalytics caches responses per request body', async () => {
+    const first = await gscService.queryAnalytics(SITE, '2026-09-01', '2026-09-30', ['page']);
+    const second = await gscService.queryAnalytics(SITE, '2026-09-01', '2026-09-30', ['page']);
+    assert.equal(gscService.getCacheInfo(first).hit, false);
+    assert.equal(gscService.getCacheInfo(second).hit, true);
+    assert.deepEqual(second, first);
+    assert.equal(server.requestsTo('/searchAnalytics/query').length, 1);
+  });
+
+  test('queryAnalytics with fetchAll pages through every row', async () => {
+    const result = await gscService.queryAnalytics(SITE, '2026-10-01', '2026-10-31', ['query', 'page'], { fetchAll: true, rowLimit: 2, cache: false });
+    assert.equal(result.rowCount, 6);
+    assert.equal(result.pagesFetched, 3);
+    assert.equal(result.truncated, false);
+    assert.deepEqual(server.requestsTo('/searchAnalytics/query').map((request) => request.body.startRow), [0, 2, 4, 6]);
+  });
+
+  test('queryAnalytics with fetchAll stops at maxRows and reports truncation', async () => {
+    const result = await gscService.queryAnalytics(SITE, '2026-10-01', '2026-10-31', ['query', 'page'], { fetchAll: true, rowLimit: 2, maxRows: 4, cache: false });
+    assert.equal(result.rowCount, 4);
+    assert.equal(result.truncated, true);
+  });
+
+  test('queryAnalyticsPages yields each page as it arrives', async () => {
+    const pages = [];
+    for await (const page of gscService.queryAnalyticsPages(SITE, '2026-10-01', '2026-10-31', ['query'], { rowLimit: 3, cache: false })) {
+      pages.push(page);
+    }
+    assert.deepEqual(pages.map((page) => [page.pageIndex, page.startRow, page.rows.length]), [[0, 0, 3], [1, 3, 1]]);
+  });
+
+  test('queryAnalytics validates its arguments without calling the API', async () => {
+    await assert.rejects(gscService.queryAnalytics(SITE, '2026-10-01', '2026-10-31', []), errors.GscValidationError);
+    await assert.rejects(gscService.queryAnalytics(SITE, '2026-10-01', '2026-10-31', ['query'], { filter: 'date = 2026-10-01' }), errors.GscValidationError);
+    assert.equal(server.requests.length, 0);
+  });
+});
+
+describe('URL inspection', () => {
+  test('inspectUrl returns the inspection result', async () => {
+    const result = await gscService.inspectUrl(SITE, 'https://www.example.com/shoes');
+    assert.equal(result.indexStatusResult.verdict, 'PASS');
+    assert.equal(server.requestsTo('/urlInspection/')[0].body.languageCode, 'en-US');
+  });
+
+  test('inspectUrls inspects a batch, recording failures without stopping', async () => {
+    server.fail({ path: '/urlInspection/' }, 'forbidden');
+    const batch = await gscService.inspectUrls(SITE, [
+      'https://www.example.com/shoes',
+      'https://www.example.com/boots',
+      'https://www.example.com/sale',
+      'https://www.example.com/sale',
+    ], { concurrency: 1 });
+    assert.deepEqual(batch.results.map((result) => result.status), ['error', 'ok', 'ok']);
+    assert.equal(batch.summary.byVerdict.PASS.count, 1);
+    assert.equal(batch.summary.byVerdict.NEUTRAL.count, 1);
+  });
+
+  test('inspectUrls accepts a queryAnalytics result with the page dimension', async () => {
+    const pages = await gscService.queryAnalytics(SITE, '2026-09-01', '2026-09-30', ['page'], { cache: false });
+    const batch = await gscService.inspectUrls(SITE, pages);
+    assert.deepEqual(batch.results.map((result) => result.url).sort(), [
+      'https://www.example.com/boots',
+      'https://www.example.com/jackets',
+      'https://www.example.com/shoes',
+    ]);
+  });
+
+  test('inspectUrls skips the remaining URLs once the daily budget is spent', async () => {
+    const batch = await gscService.inspectUrls('sc-domain:example.org', ['https://example.org/a', 'https://example.org/b'], { dailyQuota: 1, concurrency: 1 });
+    assert.deepEqual(batch.results.map((result) => result.status), ['ok', 'skipped']);
+  });
+});
+
+describe('sitemaps', () => {
+  test('listSitemaps and getSitemap return the sitemap resources', async () => {
+    const sitemaps = await gscService.listSitemaps(SITE);
+    assert.deepEqual(sitemaps.map((sitemap) => sitemap.path), ['https://www.example.com/sitemap.xml']);
+    const sitemap = await gscService.getSitemap(SITE, 'https://www.example.com/sitemap.xml');
+    assert.equal(sitemap.contents[0].indexed, '3');
+  });
+
+  test('getSitemap maps a missing sitemap to GscNotFoundError', async () => {
+    await assert.rejects(gscService.getSitemap(SITE, 'https://www.example.com/missing.xml'), (e) => {
+      assert.ok(e instanceof errors.GscNotFoundError);
+      assert.equal(e.status, 404);
+      return true;
+    });
+  });
+
+  test('submitSitemap and deleteSitemap write once confirmed', async () => {
+    const feedpath = 'https://www.example.com/news.xml';
+    await confirmWrite((options) => gscService.submitSitemap(SITE, feedpath, options));
+    assert.ok(server.state.sitemaps.get(SITE).some((sitemap) => sitemap.path === feedpath));
+    // The write invalidated the cached sitemap list.
+    assert.ok((await gscService.listSitemaps(SITE)).some((sitemap) => sitemap.path === feedpath));
+
+    await confirmWrite((options) => gscService.deleteSitemap(SITE, feedpath, options));
+    assert.ok(!server.state.sitemaps.get(SITE).some((sitemap) => sitemap.path === feedpath));
+  });
+
+  test('dryRun previews a sitemap write even with a token', async () => {
+    const preview = await gscService.submitSitemap(SITE, 'https://www.example.com/x.xml');
+    const again = await gscService.submitSitemap(SITE, 'https://www.example.com/x.xml', { dryRun: true, confirm: preview.confirmationToken });
+    assert.equal(again.dryRun, true);
+    assert.equal(server.requestsTo('/sitemaps/').length, 0);
+  });
+});
+
+describe('error mapping', () => {
+  const query = () => gscService.queryAnalytics(SITE, '2026-10-01', '2026-10-31', ['query'], { cache: false });
+
+  test('a revoked refresh token (invalid_grant) becomes GscAuthError', async () => {
+    await assert.rejects(gscService.getSite(SITE, { profile: 'revoked' }), (e) => {
+      assert.ok(e instanceof errors.GscAuthError);
+      assert.ok(e.reasons.includes('invalid_grant'));
+      assert.match(e.message, /Re-authorization may be needed/);
+      return true;
+    });
+  });
+
+  test('401 becomes GscAuthError and is not retried', async () => {
+    server.fail({ path: '/searchAnalytics/query' }, 'unauthenticated');
+    await assert.rejects(query(), (e) => e instanceof errors.GscAuthError && e.status === 401);
+    assert.equal(server.requestsTo('/searchAnalytics/query').length, 1);
+  });
+
+  test('403 becomes GscPermissionError', async () => {
+    server.fail({ path: '/searchAnalytics/query' }, 'forbidden');
+    await assert.rejects(query(), (e) => e instanceof errors.GscPermissionError && e.reasons.includes('forbidden'));
+  });
+
+  test('403 quotaExceeded becomes a non-retryable GscQuotaError', async () => {
+    server.fail({ path: '/searchAnalytics/query' }, 'quotaExceeded');
+    await assert.rejects(query(), (e) => e instanceof errors.GscQuotaError && e.retryable === false);
+    assert.equal(server.requestsTo('/searchAnalytics/query').length, 1);
+  });
+
+  test('429 is retried and succeeds once the rate limit clears', async () => {
+    server.fail({ path: '/searchAnalytics/query' }, 'rateLimited');
+    const result = await query();
+    assert.equal(result.rows.length, 4);
+    assert.equal(server.requestsTo('/searchAnalytics/query').length, 2);
+    assert.match(metrics.renderPrometheus(), /gsc_api_retries_total\{operation="queryAnalytics",error="GscQuotaError"\} \d+/);
+  });
+
+  test('429 that persists becomes a retryable GscQuotaError after GSC_MAX_RETRIES', async () => {
+    server.fail({ path: '/searchAnalytics/query' }, 'rateLimited', { times: Infinity });
+    await assert.rejects(query(), (e) => e instanceof errors.GscQuotaError && e.retryable === true && e.status === 429);
+    assert.equal(server.requestsTo('/searchAnalytics/query').length, 2);
+  });
+
+  test('500 is retried as a transient failure', async () => {
+    server.fail({ path: '/urlInspection/' }, 'serverError');
+    const result = await gscService.inspectUrl(SITE, 'https://www.example.com/boots');
+    assert.equal(result.indexStatusResult.verdict, 'PASS');
+  });
+
+  test('500 that persists becomes GscTransientError', async () => {
+    server.fail({ path: '/urlInspection/' }, 'serverError', { times: Infinity });
+    await assert.rejects(gscService.inspectUrl(SITE, 'https://www.example.com/boots'), (e) => e instanceof errors.GscTransientError && e.status === 500);
+    assert.match(metrics.renderPrometheus(), /gsc_api_calls_total\{operation="inspectUrl",outcome="GscTransientError"\} 1/);
+  });
+
+  test('failures of a profile in listSites do not hide the other profiles', async () => {
+    server.fail({ path: '/webmasters/v3/sites' }, 'forbidden');
+    const sites = await gscService.listSites({ cache: false });
+    assert.ok(sites.length > 0);
+  });
+});
@@ -0,0 +1,119 @@
+const assert = require('node:assert/strict');
+const zlib = require('node:zlib');
+const { before, test } = require('node:test');
+const { silenceConsole, useFakeGsc } = require('./helpers.js');
+
+silenceConsole();
+const { ready } = useFakeGsc();
+
+const SITE = 'https://www.example.com/';
+let audit;
+before(async () => {
+  await ready;
+  audit = require('../gscSitemapAudit.js');
+});
+
+/**
+ * @param {Array<string>} locs
+ * @returns {string} A <urlset> sitemap listing the URLs.
+ */
+function urlset(locs) {
+  return `<?xml version="1.0"?><urlset>${locs.map((loc) => `<url><loc>${loc}</loc></url>`).join('')}</urlset>`;
+}
+
+/**
+ * A fetch stand-in serving fixed documents; other URLs answer 404.
+ * @param {Object} documents URL -> body (string or Buffer).
+ * @returns {function}
+ */
+function fakeFetch(documents) {
+  return async (url) => (url in documents ? new Response(documents[url]) : new Response('missing', { status: 404 }));
+}
+
+test('parseSitemapXml reads urlsets and sitemap indexes', () => {
+  assert.deepEqual(audit.parseSitemapXml(urlset(['https://a.example.com/?x=1&amp;y=2'])), {
+    type: 'urlset',
+    locs: ['https://a.example.com/?x=1&y=2'],
+  });
+  assert.deepEqual(audit.parseSitemapXml(
+    '<sitemapindex><!-- <sitemap><loc>skipped</loc></sitemap> --><sitemap><loc><![CDATA[https://a.example.com/s.xml]]></loc></sitemap></sitemapindex>'
+  ), { type: 'sitemapindex', locs: ['https://a.example.com/s.xml'] });
+  assert.throws(() => audit.parseSitemapXml('<html></html>'), /Not a sitemap/);
+});
+
+test('isInScope follows the property type', () => {
+  assert.equal(audit.isInScope('sc-domain:example.com', 'http://shop.example.com/x'), true);
+  assert.equal(audit.isInScope('sc-domain:example.com', 'https://badexample.com/'), false);
+  assert.equal(audit.isInScope(SITE, 'https://www.example.com/x'), true);
+  assert.equal(audit.isInScope(SITE, 'http://www.example.com/x'), false);
+  assert.equal(audit.isInScope(SITE, 'ftp://www.example.com/x'), false);
+});
+
+test('auditSitemaps cross-checks the sitemaps GSC knows about', async () => {
+  const result = await audit.auditSitemaps(SITE, {
+    inspect: 'all',
+    fetch: fakeFetch({
+      'https://www.example.com/sitemap.xml': '<sitemapindex><sitemap><loc>https://www.example.com/a.xml.gz</loc></sitemap>'
+        + '<sitemap><loc>https://www.example.com/gone.xml</loc></sitemap></sitemapindex>',
+      'https://www.example.com/a.xml.gz': zlib.gzipSync(urlset([
+        'https://www.example.com/shoes',
+        'https://www.example.com/sale',
+        'https://www.example.com/sale',
+        'https://elsewhere.example.net/',
+      ])),
+    }),
+  });
+  assert.deepEqual(result.totals, { sitemaps: 2, unresolvable: 1, entries: 4, uniqueUrls: 2, outOfScope: 1, duplicates: 1 });
+  assert.deepEqual(result.unresolvable.map((entry) => [entry.sitemap, entry.status, entry.knownToGsc]), [['https://www.example.com/gone.xml', 404, false]]);
+  assert.deepEqual(result.duplicates, [{ url: 'https://www.example.com/sale', count: 2, sitemaps: ['https://www.example.com/a.xml.gz'] }]);
+  assert.deepEqual(result.notIndexed.map((entry) => [entry.url, entry.verdict]), [['https://www.example.com/sale', 'NEUTRAL']]);
+  assert.deepEqual(result.inspection.byVerdict, { PASS: 1, NEUTRAL: 1 });
+});
+
+test('auditSitemaps can skip inspection', async () => {
+  const result = await audit.auditSitemaps(SITE, {
+    sitemaps: ['https://www.example.com/only.xml'],
+    inspect: 'none',
+    fetch: fakeFetch({ 'https://www.example.com/only.xml': urlset(['https://www.example.com/shoes']) }),
+  });
+  assert.equal(result.inspection.requested, 0);
+  assert.equal(result.sitemaps[0].knownToGsc, false);
+});
+
+test('auditSitemaps never fetches sitemaps outside the property', async () => {
+  const fetched = [];
+  const documents = {
+    'https://www.example.com/index.xml': '<sitemapindex><sitemap><loc>http://169.254.169.254/latest/meta-data/</loc></sitemap>'
+      + '<sitemap><loc>https://www.example.com/a.xml</loc></sitemap></sitemapindex>',
+    'https://www.example.com/a.xml': urlset(['https://www.example.com/shoes']),
+  };
+  const result = await audit.auditSitemaps(SITE, {
+    sitemaps: ['https://www.example.com/index.xml', 'http://localhost:8080/status'],
+    inspect: 'none',
+    fetch: async (url) => {
+      fetched.push(url);
+      return fakeFetch(documents)(url);
+    },
+  });
+  assert.deepEqual(fetched, ['https://www.example.com/index.xml', 'https://www.example.com/a.xml']);
+  assert.deepEqual(result.outOfScope, [
+    { url: 'http://localhost:8080/status', sitemap: null, kind: 'sitemap' },
+    { url: 'http://169.254.169.254/latest/meta-data/', sitemap: 'https://www.example.com/index.xml', kind: 'sitemap' },
+  ]);
+});
+
+test('auditSitemaps rejects sitemaps that gunzip beyond the size limit', async () => {
+  const result = await audit.auditSitemaps(SITE, {
+    sitemaps: ['https://www.example.com/bomb.xml.gz', 'https://www.example.com/big.xml'],
+    inspect: 'none',
+    maxSitemapBytes: 1024,
+    fetch: fakeFetch({
+      'https://www.example.com/bomb.xml.gz': zlib.gzipSync(Buffer.alloc(1024 * 1024)),
+      'https://www.example.com/big.xml': ' '.repeat(2048),
+    }),
+  });
+  assert.deepEqual(result.unresolvable.map((entry) => entry.error), [
+    'https://www.example.com/bomb.xml.gz is larger than 1024 bytes uncompressed.',
+    'https://www.example.com/big.xml is larger than 1024 bytes uncompressed.',
+  ]);
+});
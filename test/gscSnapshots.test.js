@@ -0,0 +1,112 @@
+const assert = require('node:assert/strict');
+const { before, test } = require('node:test');
+const { silenceConsole, useFakeGsc } = require('./helpers.js');
+
+silenceConsole();
+const { server, ready } = useFakeGsc();
+
+const SITE = 'https://www.example.com/';
+// Pacific "today" is 2026-10-05, so with three lag days the window ends on 2026-10-02.
+const NOW = new Date('2026-10-05T20:00:00Z');
+let snapshots;
+let errors;
+before(async () => {
+  await ready;
+  snapshots = require('../gscSnapshots.js');
+  errors = require('../gscErrors.js');
+});
+
+test('snapshotDay stores one day of query x page x country x device rows', async () => {
+  const site = 'https://www.example.com/';
+  const result = await snapshots.snapshotDay(site, '2026-10-02', { type: 'image' });
+  assert.deepEqual(result, { siteUrl: site, date: '2026-10-02', type: 'image', rows: 3 });
+  assert.deepEqual(snapshots.listSnapshotDays(site, { type: 'image' }), ['2026-10-02']);
+  assert.deepEqual(snapshots.listSnapshotDays(site), []);
+  await assert.rejects(snapshots.snapshotDay(site, '10/02/2026'), errors.GscValidationError);
+});
+
+test('a failed snapshotDay leaves no partial day behind', async () => {
+  server.fail({ path: '/searchAnalytics/query' }, 'forbidden');
+  await assert.rejects(snapshots.snapshotDay(SITE, '2026-10-01', { type: 'news' }), errors.GscPermissionError);
+  assert.deepEqual(snapshots.listSnapshotDays(SITE, { type: 'news' }), []);
+});
+
+test('backfillSnapshots stores each missing day once', async () => {
+  const [result] = await snapshots.backfillSnapshots({ sites: [SITE], days: 3, now: NOW });
+  assert.deepEqual(result.snapshotted.map((day) => [day.date, day.rows]), [['2026-09-30', 0], ['2026-10-01', 4], ['2026-10-02', 3]]);
+  assert.equal(result.remaining, 0);
+  assert.deepEqual(snapshots.listSnapshotDays(SITE), ['2026-09-30', '2026-10-01', '2026-10-02']);
+  const request = server.requestsTo('/searchAnalytics/query')[0];
+  assert.deepEqual(request.body.dimensions, snapshots.SNAPSHOT_DIMENSIONS);
+
+  server.reset();
+  const [again] = await snapshots.backfillSnapshots({ sites: [SITE], days: 3, now: NOW });
+  assert.equal(again.snapshotted.length, 0);
+  assert.equal(server.requests.length, 0);
+});
+
+test('querySnapshots aggregates stored rows and reports missing days', async () => {
+  const result = await snapshots.querySnapshots(SITE, '2026-09-29', '2026-10-02', ['query']);
+  assert.deepEqual(result.rows.map((row) => [row.keys[0], row.clicks]), [
+    ['trail boots', 320],
+    ['running shoes', 61],
+    ['wool socks', 5],
+    ['shoe laces', 2],
+  ]);
+  assert.equal(result.rows[1].impressions, 1850);
+  assert.equal(result.rows[0].position, (1.2 * 1000 + 1.4 * 100) / 1100);
+  assert.deepEqual(result.coverage, { daysRequested: 4, daysAvailable: 3, missingDays: ['2026-09-29'] });
+  assert.equal(result.source, 'snapshots');
+});
+
+test('querySnapshots supports the date dimension, filters and paging', async () => {
+  const result = await snapshots.querySnapshots(SITE, '2026-10-01', '2026-10-02', ['date', 'query'], {
+    filter: 'device = mobile',
+    rowLimit: 1,
+    startRow: 1,
+  });
+  assert.equal(result.totalRows, 2);
+  assert.deepEqual(result.rows.map((row) => row.keys), [['2026-10-02', 'wool socks']]);
+  await assert.rejects(snapshots.querySnapshots(SITE, '2026-10-01', '2026-10-02', ['searchAppearance']), errors.GscValidationError);
+});
+
+test('a backfill stops for the site once the daily quota is exhausted', async () => {
+  const site = 'sc-domain:example.org';
+  server.fail({ path: '/searchAnalytics/query' }, 'quotaExceeded', { times: Infinity });
+  const [result] = await snapshots.backfillSnapshots({ sites: [site], days: 3, now: NOW });
+  assert.equal(result.failed.length, 1);
+  assert.equal(result.remaining, 3);
+  assert.deepEqual(snapshots.listSnapshotDays(site), []);
+});
+
+test('the scheduler runs on demand and skips overlapping runs', async () => {
+  const scheduler = snapshots.startSnapshotScheduler({ sites: [SITE], days: 4, now: NOW, initialDelayMs: 60000 });
+  try {
+    const first = scheduler.runNow();
+    assert.equal(scheduler.runNow(), first);
+    const [result] = await first;
+    assert.deepEqual(result.snapshotted.map((day) => day.date), ['2026-09-29']);
+  } finally {
+    scheduler.stop();
+  }
+});
+
+test('scheduled runs are skipped while no profile has credentials', async (t) => {
+  const gscService = require('../gscService.js');
+  const isAuthInitialized = t.mock.method(gscService, 'isAuthInitialized', () => false);
+  const scheduler = snapshots.startSnapshotScheduler({ sites: [SITE], days: 4, now: NOW, initialDelayMs: 60000 });
+  try {
+    assert.deepEqual(await scheduler.runNow(), []);
+    assert.equal(server.requestsTo('/searchAnalytics/query').length, 0);
+    isAuthInitialized.mock.mockImplementation(() => true);
+    const [result] = await scheduler.runNow();
+    assert.equal(result.siteUrl, SITE);
+  } finally {
+    scheduler.stop();
+  }
+});
+
+test('impossible calendar dates are validation errors', async () => {
+  await assert.rejects(snapshots.querySnapshots(SITE, '2024-13-01', '2024-13-02', ['query']), errors.GscValidationError);
+  await assert.rejects(snapshots.snapshotDay(SITE, '2024-02-30'), errors.GscValidationError);
+});
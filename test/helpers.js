@@ -0,0 +1,90 @@
+/**
+ * test/helpers.js
+ *
+ * Shared setup for the test files: a fake GSC server (see fakeGscServer.js) with the environment
+ * pointing gscService at it, and a scratch directory for the files the modules write.
+ */
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { after, beforeEach, mock } = require('node:test');
+const { createFakeGscServer } = require('./fakeGscServer.js');
+
+/**
+ * Creates a scratch directory that is removed when the test file finishes.
+ * @returns {string}
+ */
+function useTempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gsc-test-'));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * The environment that points every GSC module at the fake server and keeps their files in `dir`.
+ * @param {{rootUrl: string, tokenUrl: string}} endpoints From server.start().
+ * @param {string} dir Scratch directory.
+ * @returns {Object}
+ */
+function fakeGscEnv(endpoints, dir) {
+  return {
+    GSC_OAUTH_CLIENT_ID: 'fake-client-id',
+    GSC_OAUTH_CLIENT_SECRET: 'fake-client-secret',
+    GSC_OAUTH_REDIRECT_URI: 'http://localhost:8080/oauth/callback',
+    GSC_OAUTH_REFRESH_TOKEN: 'refresh-default',
+    GSC_API_ROOT_URL: endpoints.rootUrl,
+    GSC_OAUTH_TOKEN_URL: endpoints.tokenUrl,
+    GSC_CREDENTIALS_FILE: path.join(dir, 'credentials.json'),
+    GSC_AUDIT_LOG: path.join(dir, 'audit.jsonl'),
+    GSC_SNAPSHOT_DIR: path.join(dir, 'snapshots'),
+    GSC_METRICS_DIR: path.join(dir, 'metrics'),
+    MCP_STATUS_FILE: path.join(dir, 'mcp-status.json'),
+    GSC_MAX_RETRIES: '1',
+  };
+}
+
+/**
+ * Starts a fake GSC server for the current test file and sets the environment for it. The GSC
+ * modules read their settings when loaded, so require them only once `ready` has resolved, e.g.
+ * in `before(async () => { await ready; ... })`. Scripted failures and recorded requests are
+ * cleared before each test.
+ * @param {Object} [fixtures] Fixture overrides (see createFakeGscServer).
+ * @param {Object} [extraEnv] Additional environment variables.
+ * @returns {{server: Object, dir: string, ready: Promise<void>}}
+ */
+function useFakeGsc(fixtures, extraEnv = {}) {
+  const server = createFakeGscServer(fixtures);
+  const dir = useTempDir();
+  const ready = server.start().then((endpoints) => {
+    Object.assign(process.env, fakeGscEnv(endpoints, dir), extraEnv);
+  });
+  after(() => server.stop());
+  beforeEach(() => server.reset());
+  return { server, dir, ready };
+}
+
+/**
+ * Silences console output for the current test file; the modules under test log every API call.
+ */
+function silenceConsole() {
+  for (const method of ['log', 'info', 'warn', 'error']) mock.method(console, method, () => {});
+}
+
+/**
+ * Runs a guarded write (see gscPolicy.js) through its preview and confirmation.
+ * @param {function(Object): Promise<Object>} write Calls the write function with the given options.
+ * @returns {Promise<Object>} The write's result.
+ */
+async function confirmWrite(write) {
+  const preview = await write({});
+  return write({ confirm: preview.confirmationToken });
+}
+
+// --- Module Exports ---
+module.exports = {
+  confirmWrite,
+  fakeGscEnv,
+  silenceConsole,
+  useFakeGsc,
+  useTempDir,
+};
@@ -0,0 +1,102 @@
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const path = require('node:path');
+const { before, test } = require('node:test');
+const { useTempDir } = require('./helpers.js');
+
+const dir = useTempDir();
+let config;
+before(() => {
+  // The gsc check looks for tokens in the credential store; keep it away from the real one.
+  process.env.GSC_CREDENTIALS_FILE = path.join(dir, 'credentials.json');
+  config = require('../mcpConfig.js');
+});
+
+const GSC_ENV = {
+  GSC_OAUTH_CLIENT_ID: 'id',
+  GSC_OAUTH_CLIENT_SECRET: 'top-secret',
+  GSC_OAUTH_REDIRECT_URI: 'http://localhost:8080/oauth/callback',
+  GSC_OAUTH_REFRESH_TOKEN: 'refresh',
+};
+
+/**
+ * @param {Object} report From evaluateConfig.
+ * @param {string} name Integration name.
+ * @returns {Object}
+ */
+function integration(report, name) {
+  return report.integrations.find((entry) => entry.name === name);
+}
+
+test('unconfigured integrations are disabled, not failing', () => {
+  const report = config.evaluateConfig({});
+  assert.equal(report.ok, true);
+  assert.equal(integration(report, 'wrapper').status, 'enabled');
+  assert.equal(integration(report, 'gsc').status, 'disabled');
+  assert.equal(integration(report, 'firecrawl').status, 'disabled');
+});
+
+test('a complete GSC configuration is enabled and its secrets are redacted', () => {
+  const report = config.evaluateConfig(GSC_ENV);
+  const gsc = integration(report, 'gsc');
+  assert.deepEqual(gsc.problems, []);
+  assert.equal(gsc.status, 'enabled');
+  assert.equal(gsc.values.GSC_OAUTH_CLIENT_SECRET, config.REDACTED);
+  assert.equal(gsc.values.GSC_OAUTH_CLIENT_ID, 'id');
+  const text = config.formatConfigReport(report).join('\n');
+  assert.match(text, /Google Search Console \(OAuth\) \[gsc\]: ENABLED/);
+  assert.doesNotMatch(text, /top-secret|refresh$/m);
+});
+
+test('invalid or incomplete settings make the integration partial', () => {
+  const report = config.evaluateConfig({
+    ...GSC_ENV,
+    GSC_OAUTH_REFRESH_TOKEN: '',
+    GSC_READ_ONLY: 'yes',
+    GSC_API_ROOT_URL: 'not a url',
+    PORT: '-1',
+    FIRECRAWL_API_KEY: 'key',
+  });
+  assert.equal(report.ok, false);
+  const gsc = integration(report, 'gsc');
+  assert.equal(gsc.status, 'partial');
+  assert.equal(gsc.problems.length, 2);
+  assert.ok(gsc.problems.every((problem) => /^GSC_(READ_ONLY|API_ROOT_URL) /.test(problem)), gsc.problems.join('; '));
+  assert.equal(integration(report, 'wrapper').status, 'partial');
+  assert.equal(integration(report, 'firecrawl').status, 'enabled');
+
+  const noToken = integration(config.evaluateConfig({ ...GSC_ENV, GSC_OAUTH_REFRESH_TOKEN: '' }), 'gsc');
+  assert.deepEqual(noToken.problems, ['no refresh token: set GSC_OAUTH_REFRESH_TOKEN or authorize via /oauth/start']);
+  const badProfiles = integration(config.evaluateConfig({ GSC_PROFILES: '{"x":' }), 'gsc');
+  assert.equal(badProfiles.problems.length, 1);
+  assert.match(badProfiles.problems[0], /^GSC_PROFILES /);
+});
+
+test('setting-only variables do not enable an integration on their own', () => {
+  assert.equal(integration(config.evaluateConfig({ GSC_READ_ONLY: 'true' }), 'gsc').status, 'disabled');
+});
+
+test('decodePrivateKey accepts a Base64 PEM private key', () => {
+  const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const pem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+  assert.equal(config.decodePrivateKey(Buffer.from(pem).toString('base64')), pem);
+  assert.throws(() => config.decodePrivateKey('%%%'), /is not valid Base64/);
+  assert.throws(() => config.decodePrivateKey(Buffer.from('hello').toString('base64')), /does not decode to a PEM private key/);
+  assert.equal(config.redact({ secret: true }, ''), 'NOT SET');
+});
+
+test('integerFromEnv falls back to the default, with a warning, for invalid values', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const env = { UNSET: '', GOOD: '25', ZERO: '0', WORD: 'five', NEGATIVE: '-1', FRACTION: '1.5' };
+  assert.equal(config.integerFromEnv('MISSING', 7, { env }), 7);
+  assert.equal(config.integerFromEnv('UNSET', 7, { env }), 7);
+  assert.equal(config.integerFromEnv('GOOD', 7, { env }), 25);
+  assert.equal(warn.mock.callCount(), 0);
+
+  assert.equal(config.integerFromEnv('ZERO', 7, { env }), 7);
+  assert.equal(config.integerFromEnv('ZERO', 7, { env, allowZero: true }), 0);
+  for (const name of ['WORD', 'NEGATIVE', 'FRACTION']) assert.equal(config.integerFromEnv(name, 7, { env, allowZero: true }), 7);
+  assert.equal(warn.mock.callCount(), 4);
+  assert.equal(warn.mock.calls[0].arguments[0], 'mcpConfig: Ignoring ZERO="0", which must be a positive integer; using 7.');
+  assert.match(warn.mock.calls[1].arguments[0], /Ignoring WORD="five", which must be a non-negative integer; using 7\.$/);
+});
@@ -0,0 +1,114 @@
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const path = require('node:path');
+const { test } = require('node:test');
+const { silenceConsole, useTempDir } = require('./helpers.js');
+const { createSupervisor, readSupervisorStatus } = require('../mcpSupervisor.js');
+
+silenceConsole();
+const dir = useTempDir();
+
+/**
+ * A spawn stand-in whose children exit when the test says so.
+ * @returns {{spawn: function, children: Array<Object>}}
+ */
+function fakeSpawn() {
+  const children = [];
+  const spawn = () => {
+    const child = new EventEmitter();
+    child.pid = 1000 + children.length;
+    child.signals = [];
+    child.kill = (signal) => child.signals.push(signal);
+    child.exit = (code, signal = null) => child.emit('close', code, signal);
+    children.push(child);
+    return child;
+  };
+  return { spawn, children };
+}
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('a crashed child is restarted with a growing delay', async () => {
+  const { spawn, children } = fakeSpawn();
+  const supervisor = createSupervisor({ command: 'mcp', spawn, statusFile: null, baseDelayMs: 5, maxDelayMs: 100, maxRestarts: 10 });
+  supervisor.start();
+  children[0].exit(1);
+  assert.equal(supervisor.getStatus().state, 'backoff');
+  await sleep(50);
+  children[1].exit(1);
+  assert.deepEqual(supervisor.getStatus().history.map((entry) => entry.restartDelayMs), [5, 10]);
+  await sleep(80);
+  assert.equal(children.length, 3);
+  assert.equal(supervisor.getStatus().state, 'running');
+  assert.equal(supervisor.getStatus().restarts, 2);
+  children[2].exit(0);
+  await supervisor.stop();
+});
+
+test('the supervisor gives up on a crash loop', async () => {
+  const { spawn, children } = fakeSpawn();
+  const exits = [];
+  const supervisor = createSupervisor({ command: 'mcp', spawn, statusFile: null, baseDelayMs: 1, maxRestarts: 2, onExit: (code) => exits.push(code) });
+  supervisor.start();
+  for (let i = 0; i < 3; i++) {
+    children[i].exit(3);
+    await sleep(20);
+  }
+  assert.equal(children.length, 3);
+  assert.equal(supervisor.getStatus().state, 'crash-loop');
+  assert.deepEqual(exits, [3]);
+});
+
+test('stop forwards the signal and reports the exit in the status file', async () => {
+  const { spawn, children } = fakeSpawn();
+  const statusFile = path.join(dir, 'status.json');
+  const supervisor = createSupervisor({ command: 'npx', args: ['-y', 'mcp'], spawn, statusFile, shutdownTimeoutMs: 1000 });
+  supervisor.start();
+  assert.equal(readSupervisorStatus(statusFile).pid, 1000);
+  assert.equal(readSupervisorStatus(statusFile).stale, false);
+
+  const stopped = supervisor.stop('SIGINT');
+  assert.deepEqual(children[0].signals, ['SIGINT']);
+  children[0].exit(null, 'SIGINT');
+  assert.equal(await stopped, 0);
+  const status = readSupervisorStatus(statusFile);
+  assert.equal(status.state, 'stopped');
+  assert.equal(status.command, 'npx -y mcp');
+  assert.equal(status.lastExitSignal, 'SIGINT');
+  assert.equal(readSupervisorStatus(path.join(dir, 'missing.json')), null);
+});
+
+test('a child that ignores the signal is killed after the grace period', async () => {
+  const { spawn, children } = fakeSpawn();
+  const supervisor = createSupervisor({ command: 'mcp', spawn, statusFile: null, shutdownTimeoutMs: 10 });
+  supervisor.start();
+  const stopped = supervisor.stop();
+  await sleep(30);
+  assert.deepEqual(children[0].signals, ['SIGTERM', 'SIGKILL']);
+  children[0].exit(null, 'SIGKILL');
+  assert.equal(await stopped, 1);
+});
+
+test('a child that fails to spawn counts as a crash', async () => {
+  const { spawn, children } = fakeSpawn();
+  const supervisor = createSupervisor({
+    command: 'missing',
+    spawn: (...args) => {
+      const child = spawn(...args);
+      child.pid = undefined;
+      process.nextTick(() => child.emit('error', new Error('spawn missing ENOENT')));
+      return child;
+    },
+    statusFile: null,
+    baseDelayMs: 1000,
+  });
+  supervisor.start();
+  await sleep(5);
+  assert.equal(supervisor.getStatus().state, 'backoff');
+  assert.equal(children.length, 1);
+  assert.equal(await supervisor.stop(), 0);
+});
@@ -0,0 +1,189 @@
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const net = require('node:net');
+const path = require('node:path');
+const readline = require('node:readline');
+const { after, before, test } = require('node:test');
+const { useFakeGsc } = require('./helpers.js');
+
+const { server, ready } = useFakeGsc();
+
+const OPERATOR_KEY = 'operator-key-0123456789';
+const CODE = 'consent-code-42';
+const SITE = 'https://www.example.com/';
+let baseUrl;
+let httpServer;
+let output = '';
+let state;
+
+/**
+ * Finds a free local port.
+ * @returns {Promise<number>}
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// The server listens as soon as it is loaded, so it runs in a child process like in production.
+before(async () => {
+  await ready;
+  // The supervisor in start-mcp.js is represented by this process, so /readyz only depends on GSC auth.
+  fs.writeFileSync(process.env.MCP_STATUS_FILE, JSON.stringify({ state: 'running', pid: process.pid, supervisorPid: process.pid, restarts: 0, lastExitCode: null }));
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  httpServer = spawn(process.execPath, [path.join(__dirname, '..', 'my-simple-server.js')], {
+    env: { ...process.env, PORT: String(port), MCP_AUTH_TOKEN: OPERATOR_KEY },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  const listening = new Promise((resolve, reject) => {
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes('Server is listening')) resolve();
+    };
+    httpServer.stdout.on('data', onData);
+    httpServer.stderr.on('data', onData);
+    httpServer.on('exit', (code) => reject(new Error(`my-simple-server.js exited with code ${code}:\n${output}`)));
+  });
+  const timer = setTimeout(() => httpServer.kill(), 10000);
+  try {
+    await listening;
+  } finally {
+    clearTimeout(timer);
+  }
+});
+
+after(async () => {
+  if (!httpServer || httpServer.exitCode !== null) return;
+  const exited = new Promise((resolve) => httpServer.once('exit', resolve));
+  httpServer.kill();
+  await exited;
+});
+
+/**
+ * POSTs a form to the server.
+ * @param {string} pathname The path.
+ * @param {Object} fields The form fields.
+ * @returns {Promise<Response>}
+ */
+function postForm(pathname, fields) {
+  return fetch(`${baseUrl}${pathname}`, { method: 'POST', body: new URLSearchParams(fields), redirect: 'manual' });
+}
+
+test('/oauth/start asks for the operator key and only redirects to Google with the right one', async () => {
+  const form = await fetch(`${baseUrl}/oauth/start?profile=acme`);
+  assert.equal(form.status, 200);
+  assert.match(await form.text(), /<form method="POST" action="\/oauth\/start">[\s\S]*value="acme"/);
+
+  assert.equal((await postForm('/oauth/start', { key: 'wrong-key' })).status, 403);
+  assert.equal((await fetch(`${baseUrl}/oauth/start?key=${OPERATOR_KEY}`, { headers: { Authorization: 'Bearer wrong-key' } })).status, 403);
+
+  const viaHeader = await fetch(`${baseUrl}/oauth/start`, { headers: { Authorization: `Bearer ${OPERATOR_KEY}` }, redirect: 'manual' });
+  assert.equal(viaHeader.status, 302);
+
+  const viaForm = await postForm('/oauth/start', { key: OPERATOR_KEY });
+  assert.equal(viaForm.status, 302);
+  const location = new URL(viaForm.headers.get('location'));
+  assert.equal(location.hostname, 'accounts.google.com');
+  assert.equal(location.searchParams.get('access_type'), 'offline');
+  state = location.searchParams.get('state');
+  assert.ok(state);
+});
+
+test('/oauth/callback stores the refresh token for the profile the flow was started for', async () => {
+  const forged = await fetch(`${baseUrl}/oauth/callback?code=${CODE}&state=forged`);
+  assert.equal(forged.status, 400);
+
+  const response = await fetch(`${baseUrl}/oauth/callback?code=${CODE}&state=${state}`);
+  assert.equal(response.status, 200);
+  assert.match(await response.text(), /profile "default"/);
+  const stored = JSON.parse(fs.readFileSync(process.env.GSC_CREDENTIALS_FILE, 'utf8'));
+  assert.equal(stored.profiles.default.refreshToken, `refresh-from-${CODE}`);
+  assert.equal(server.requestsTo('/token').length, 1);
+
+  // The state is single-use.
+  assert.equal((await fetch(`${baseUrl}/oauth/callback?code=${CODE}&state=${state}`)).status, 400);
+});
+
+test('/metrics reports GSC calls made by the MCP server process', async () => {
+  const mcp = spawn(process.execPath, [path.join(__dirname, '..', 'gscMcpServer.js')], { stdio: ['pipe', 'pipe', 'ignore'] });
+  const timer = setTimeout(() => mcp.kill(), 15000);
+  try {
+    const lines = readline.createInterface({ input: mcp.stdout })[Symbol.asyncIterator]();
+    mcp.stdin.write(`${JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'listSitemaps', arguments: { siteUrl: SITE } } })}\n`);
+    assert.equal(JSON.parse((await lines.next()).value).result.isError, undefined);
+
+    // The MCP server writes its metrics within a second of the call.
+    const expected = /^gsc_api_calls_total\{operation="listSitemaps",outcome="success"\} 1$/m;
+    let text = '';
+    for (let attempt = 0; attempt < 50 && !expected.test(text); attempt++) {
+      if (attempt > 0) await sleep(100);
+      const response = await fetch(`${baseUrl}/metrics`);
+      assert.equal(response.status, 200);
+      text = await response.text();
+    }
+    assert.match(text, expected);
+    assert.match(text, /^gsc_api_call_duration_seconds_count\{operation="listSitemaps"\} 1$/m);
+    assert.match(text, /^gsc_token_refresh_last_success_timestamp_seconds\{profile="default"\} [\d.]+$/m);
+    assert.match(text, /^mcp_child_up 1$/m);
+
+    mcp.stdin.end();
+    await new Promise((resolve) => mcp.once('exit', resolve));
+  } finally {
+    clearTimeout(timer);
+  }
+});
+
+/**
+ * Sends a request line as-is, bypassing the URL checks of fetch.
+ * @param {string} target The request target.
+ * @returns {Promise<string>} The raw response.
+ */
+function rawRequest(target) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(Number(new URL(baseUrl).port), '127.0.0.1');
+    let response = '';
+    socket.setTimeout(5000, () => socket.destroy(new Error('No response')));
+    socket.on('data', (chunk) => { response += chunk; });
+    socket.on('end', () => resolve(response));
+    socket.on('error', reject);
+    socket.end(`GET ${target} HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n`);
+  });
+}
+
+test('a malformed request target gets a 400 and the server stays up', async () => {
+  assert.match(await rawRequest('http://['), /^HTTP\/1\.1 400 /);
+  await sleep(100);
+  assert.equal(httpServer.exitCode, null);
+  assert.equal((await fetch(`${baseUrl}/ping`)).status, 200);
+});
+
+test('/readyz reports 503 once the stored refresh token is revoked', async () => {
+  server.revokeRefreshToken(`refresh-from-${CODE}`);
+  const response = await fetch(`${baseUrl}/readyz`);
+  assert.equal(response.status, 503);
+  const { status, checks } = await response.json();
+  assert.equal(status, 'not ready');
+  assert.equal(checks.gscAuth.ok, false);
+  assert.match(checks.gscAuth.profiles[0].error, /invalid_grant/);
+  assert.equal(checks.mcpChild.ok, true);
+});
+
+test('the request log leaves out the operator key, the authorization code and the state', () => {
+  assert.match(output, /Received request: POST \/oauth\/start/);
+  assert.match(output, /Received request: GET \/oauth\/callback at/);
+  for (const secret of [OPERATOR_KEY, CODE, state]) assert.ok(!output.includes(secret), secret);
+});
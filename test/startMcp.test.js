@@ -0,0 +1,104 @@
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const path = require('node:path');
+const { test } = require('node:test');
+const { fakeGscEnv, useTempDir } = require('./helpers.js');
+
+const dir = useTempDir();
+const START_MCP = path.join(__dirname, '..', 'start-mcp.js');
+
+// Stands in for `npx -y @typingmind/mcp`: announces itself and waits to be signalled.
+fs.writeFileSync(path.join(dir, 'npx'), '#!/bin/sh\necho "fake-npx $*"\nexec sleep 30\n', { mode: 0o755 });
+
+/**
+ * The wrapper's environment: the fake npx first on PATH and the GSC settings (the endpoints are
+ * never contacted during startup), without anything inherited from the developer's shell.
+ * @param {Object} [overrides] Variables to add; undefined values remove a variable.
+ * @returns {Object}
+ */
+function wrapperEnv(overrides = {}) {
+  const env = {
+    PATH: `${dir}${path.delimiter}${process.env.PATH}`,
+    ...fakeGscEnv({ rootUrl: 'http://127.0.0.1:9/', tokenUrl: 'http://127.0.0.1:9/token' }, dir),
+    ...overrides,
+  };
+  for (const key of Object.keys(env)) if (env[key] === undefined) delete env[key];
+  return env;
+}
+
+/**
+ * Runs start-mcp.js until it has launched the (fake) MCP server, then stops it with SIGTERM,
+ * or until it exits on its own (e.g. with --check).
+ * @param {Object} env The environment.
+ * @param {Array<string>} [args] Extra arguments.
+ * @returns {Promise<{code: number, output: string}>}
+ */
+function runWrapper(env, args = []) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [START_MCP, ...args], { env, stdio: ['ignore', 'pipe', 'pipe'] });
+    let output = '';
+    let signalled = false;
+    const onData = (chunk) => {
+      output += chunk;
+      if (!signalled && output.includes('fake-npx')) {
+        signalled = true;
+        child.kill('SIGTERM');
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    const timer = setTimeout(() => child.kill('SIGKILL'), 15000);
+    child.on('error', reject);
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      resolve({ code, output });
+    });
+  });
+}
+
+test('with credentials the wrapper initializes gscService, launches the MCP server and shuts it down on SIGTERM', async () => {
+  const { code, output } = await runWrapper(wrapperEnv());
+  assert.match(output, /GSC credentials found \(GSC_OAUTH_REFRESH_TOKEN\)/);
+  assert.match(output, /gscService\.js reports OAuth client as INITIALIZED/);
+  assert.match(output, /GSC_OAUTH_CLIENT_SECRET: \[REDACTED\]/);
+  assert.match(output, /fake-npx -y @typingmind\/mcp/);
+  assert.match(output, /Forwarding SIGTERM to child/);
+  assert.equal(code, 0);
+  assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'mcp-status.json'), 'utf8')).state, 'stopped');
+});
+
+test('without credentials the wrapper still launches the MCP server, without GSC', async () => {
+  const { code, output } = await runWrapper(wrapperEnv({ GSC_OAUTH_REFRESH_TOKEN: undefined }));
+  assert.match(output, /GSC_OAUTH_REFRESH_TOKEN is NOT set/);
+  assert.match(output, /gscServiceAuthInitialized \(by wrapper\): false/);
+  assert.match(output, /fake-npx/);
+  assert.equal(code, 0);
+});
+
+test('with snapshots enabled the scheduler starts even before a token is stored', async () => {
+  const { code, output } = await runWrapper(wrapperEnv({ GSC_OAUTH_REFRESH_TOKEN: undefined, GSC_SNAPSHOTS_ENABLED: 'true' }));
+  assert.match(output, /gscSnapshots: Scheduler started/);
+  assert.match(output, /no GSC credentials are available yet\. Snapshot runs are skipped until a token is stored/);
+  assert.equal(code, 0);
+});
+
+test('broken GSC configuration is reported and does not stop the launch', async () => {
+  const { code, output } = await runWrapper(wrapperEnv({ GSC_PROFILES: '{oops' }));
+  assert.match(output, /CRITICAL: Error requiring or processing gscService\.js.*Invalid JSON in GSC_PROFILES/);
+  assert.match(output, /fake-npx/);
+  assert.equal(code, 0);
+});
+
+test('--check exits 0 for a valid configuration and 1 for an invalid one', async () => {
+  const valid = await runWrapper(wrapperEnv(), ['--check']);
+  assert.match(valid.output, /Configuration OK\./);
+  assert.doesNotMatch(valid.output, /fake-npx/);
+  assert.equal(valid.code, 0);
+
+  const invalid = await runWrapper(wrapperEnv({ GSC_OAUTH_REDIRECT_URI: 'localhost', GSC_READ_ONLY: 'maybe' }), ['--check']);
+  assert.match(invalid.output, /PROBLEM: GSC_OAUTH_REDIRECT_URI /);
+  assert.match(invalid.output, /PROBLEM: GSC_READ_ONLY /);
+  assert.match(invalid.output, /Configuration INVALID/);
+  assert.equal(invalid.code, 1);
+});
@@ -0,0 +1,24 @@
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('node:fs');
+const path = require('node:path');
+const { test } = require('node:test');
+const { useTempDir } = require('./helpers.js');
+const { isProcessAlive, writeFileAtomic } = require('../stateFiles.js');
+
+const dir = useTempDir();
+
+test('writeFileAtomic creates the directory and leaves no temporary file behind', () => {
+  const filePath = path.join(dir, 'nested', 'state.json');
+  writeFileAtomic(filePath, '{"a":1}');
+  writeFileAtomic(filePath, '{"a":2}', { mode: 0o600 });
+  assert.equal(fs.readFileSync(filePath, 'utf8'), '{"a":2}');
+  assert.deepEqual(fs.readdirSync(path.dirname(filePath)), ['state.json']);
+  assert.equal(fs.statSync(filePath).mode & 0o777, 0o600);
+});
+
+test('isProcessAlive tells running processes from exited ones', () => {
+  assert.equal(isProcessAlive(process.pid), true);
+  const { pid } = spawnSync(process.execPath, ['-e', ''], { timeout: 10000 });
+  assert.equal(isProcessAlive(pid), false);
+});